@@ -1,18 +1,26 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateLLMConfig } from './configValidator.js';
+import { DEFAULT_MAX_RETRIES, DEFAULT_TIMEOUT_MS } from './llmDefaults.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'llm-config.json');
+
+// Active, validated config. Replaced as a whole on reload so readers never see a partial config.
+let activeConfig = null;
+let configWatcher = null;
+
 /**
  * Load LLM configuration from JSON file
  * @param {string} configPath - Path to the config JSON file
  * @returns {Array} Array of configuration objects
  */
 export function loadLLMConfig(configPath = null) {
-  const defaultPath = path.join(__dirname, 'llm-config.json');
-  const configFile = configPath || defaultPath;
+  const configFile = configPath || DEFAULT_CONFIG_PATH;
 
   try {
     const configData = fs.readFileSync(configFile, 'utf8');
@@ -29,21 +37,174 @@ export function loadLLMConfig(configPath = null) {
   }
 }
 
+/**
+ * Load and validate the config file, building a template index
+ * @param {string} configFile - Path to the config JSON file
+ * @returns {Object} Config state ({ path, templates, byName, loadedAt })
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+function buildConfigState(configFile) {
+  const templates = loadLLMConfig(configFile);
+  const errors = validateLLMConfig(templates);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid LLM config ${configFile}:\n  - ${errors.join('\n  - ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return {
+    path: configFile,
+    templates,
+    byName: new Map(templates.map(c => [c.template_name, c])),
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Reload the config file, keeping the current config if the new one is invalid
+ * @returns {boolean} True if the new config was applied
+ */
+export function reloadLLMConfig() {
+  const configFile = activeConfig?.path || DEFAULT_CONFIG_PATH;
+
+  try {
+    activeConfig = buildConfigState(configFile);
+    console.log(`✅ LLM config reloaded from ${configFile} (${activeConfig.templates.length} templates)`);
+    return true;
+  } catch (error) {
+    console.error(`❌ LLM config reload failed, keeping previous config:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Load and validate the LLM config once, optionally watching the file for changes
+ * @param {Object} options - Init options
+ * @param {string} options.configPath - Path to the config JSON file
+ * @param {boolean} options.watch - Reload the config when the file changes
+ * @returns {Array} Active configuration objects
+ * @throws {Error} If the config is invalid
+ */
+export function initLLMConfig({ configPath = null, watch = false } = {}) {
+  const configFile = configPath || DEFAULT_CONFIG_PATH;
+  activeConfig = buildConfigState(configFile);
+
+  if (watch && !configWatcher) {
+    // Watch the directory rather than the file, since editors often replace the file on save
+    let reloadTimer = null;
+    configWatcher = fs.watch(path.dirname(configFile), (eventType, filename) => {
+      if (filename !== path.basename(configFile)) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reloadLLMConfig, 100);
+    });
+    configWatcher.unref();
+  }
+
+  return activeConfig.templates;
+}
+
+/**
+ * Get the active config state, loading it on first use
+ * @returns {Object} Config state ({ path, templates, byName, loadedAt })
+ */
+function getActiveConfig() {
+  if (!activeConfig) {
+    initLLMConfig();
+  }
+  return activeConfig;
+}
+
+/**
+ * Get the active, validated config with load metadata
+ * @returns {{path: string, loadedAt: string, watching: boolean, templates: Array}} Active config
+ */
+export function getActiveLLMConfig() {
+  const config = getActiveConfig();
+  return {
+    path: config.path,
+    loadedAt: config.loadedAt,
+    watching: configWatcher !== null,
+    templates: config.templates,
+  };
+}
+
 /**
  * Get configuration by template name
- * @param {string} templateName - Name of the template configuration
- * @param {string} configPath - Optional path to config file
+ * A name qualified with a variant ("character_description_generation@concise") returns the
+ * template entry with that variant's overrides applied
+ * @param {string} templateName - Name of the template configuration, optionally with "@variant"
+ * @param {string} configPath - Optional path to config file (bypasses the active config)
  * @returns {Object|null} Configuration object or null if not found
  */
 export function getConfigByTemplateName(templateName, configPath = null) {
-  const configs = loadLLMConfig(configPath);
-  const config = configs.find(c => c.template_name === templateName);
+  const [baseName, variantName] = templateName.split('@');
+  const config = configPath
+    ? loadLLMConfig(configPath).find(c => c.template_name === baseName)
+    : getActiveConfig().byName.get(baseName);
   
   if (!config) {
-    throw new Error(`Configuration for template "${templateName}" not found`);
+    throw new Error(`Configuration for template "${baseName}" not found`);
   }
-  
-  return config;
+
+  if (variantName === undefined) {
+    return config;
+  }
+
+  const variant = (config.variants || []).find(v => v.name === variantName);
+  if (!variant) {
+    throw new Error(`Variant "${variantName}" of template "${baseName}" not found`);
+  }
+
+  const { variants, variant_assignment, ...base } = config;
+  const { name, weight, ...overrides } = variant;
+  return { ...base, ...overrides };
+}
+
+/**
+ * Map an assignment key to a stable point in [0, 1)
+ */
+function assignmentPoint(templateName, assignmentKey) {
+  const digest = crypto.createHash('sha256').update(`${templateName}:${assignmentKey}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Pick the variant of a template to serve
+ * Assignment is sticky: the same entity (or client, with `"variant_assignment": "client"`)
+ * always gets the same variant while the variant weights are unchanged. Without any
+ * assignment key a variant is picked at random by weight. A name already qualified with a
+ * variant ("template@variant") serves that variant, even one with weight 0.
+ * @param {string} templateName - Name of the template configuration, optionally with "@variant"
+ * @param {Object} keys - Assignment keys
+ * @param {string|null} keys.entityKey - Entity key of the generation (e.g. "character:1")
+ * @param {string|null} keys.clientId - Client id (e.g. from the X-Client-Id header)
+ * @returns {{variant: string|null, configName: string}} Variant name (null for templates
+ *   without variants) and the qualified template name to read its config with
+ */
+export function resolveTemplateVariant(templateName, { entityKey = null, clientId = null } = {}) {
+  const config = getConfigByTemplateName(templateName);
+  const pinnedVariant = templateName.split('@')[1];
+  if (pinnedVariant !== undefined) {
+    return { variant: pinnedVariant, configName: templateName };
+  }
+
+  const variants = (config.variants || []).filter(variant => variant.weight > 0);
+
+  if (variants.length === 0) {
+    return { variant: null, configName: templateName };
+  }
+
+  const clientKey = clientId ? `client:${clientId}` : null;
+  const assignmentKey = config.variant_assignment === 'client'
+    ? clientKey || entityKey
+    : entityKey || clientKey;
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (assignmentKey ? assignmentPoint(templateName, assignmentKey) : Math.random()) * totalWeight;
+
+  const chosen = variants.find(variant => (point -= variant.weight) < 0) || variants[variants.length - 1];
+  return { variant: chosen.name, configName: `${templateName}@${chosen.name}` };
 }
 
 /**
@@ -76,6 +237,16 @@ export function getTemperatureForTemplate(templateName, defaultTemp = 0.8) {
   }
 }
 
+/**
+ * Get the maximum number of tokens to generate from config
+ * @param {string} templateName - Name of the template configuration
+ * @returns {number|null} Token limit, or null to use the model default
+ */
+export function getMaxTokensForTemplate(templateName) {
+  const config = getConfigByTemplateName(templateName);
+  return config.max_tokens ?? null;
+}
+
 /**
  * Get system prompt template name from config
  * @param {string} templateName - Name of the template configuration
@@ -105,16 +276,105 @@ export function getUserPromptTemplate(templateName) {
 }
 
 /**
- * Get prompt renderer name from config
+ * Get LLM provider name from config
+ * @param {string} templateName - Name of the template configuration
+ * @returns {string|null} Provider name (e.g. "groq", "openai-compatible", "fixture")
+ */
+export function getProviderForTemplate(templateName) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.provider || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get generation cache TTL from config or use default
+ * `cache_ttl_seconds: null` keeps entries forever and `0` disables caching for the template
+ * @param {string} templateName - Name of the template configuration
+ * @param {number} defaultTtl - Default TTL in seconds if not in config
+ * @returns {number|null} TTL in seconds, or null for no expiry
+ */
+export function getCacheTtlForTemplate(templateName, defaultTtl = parseInt(process.env.GENERATION_CACHE_TTL_SECONDS || '86400', 10)) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.cache_ttl_seconds !== undefined ? config.cache_ttl_seconds : defaultTtl;
+  } catch (error) {
+    return defaultTtl;
+  }
+}
+
+/**
+ * Get the JSON schema that the template's output must match
+ * @param {string} templateName - Name of the template configuration
+ * @returns {Object|null} JSON schema, or null for free-text templates
+ */
+export function getOutputSchemaForTemplate(templateName) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.output_schema || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get how many repair requests are made when a structured output fails validation
  * @param {string} templateName - Name of the template configuration
- * @returns {string} Prompt renderer name (defaults to "location" if not found)
+ * @param {number} defaultAttempts - Default number of repair attempts if not in config
+ * @returns {number} Repair attempts
  */
-export function getPromptRenderer(templateName) {
+export function getOutputRepairAttemptsForTemplate(templateName, defaultAttempts = 2) {
   try {
     const config = getConfigByTemplateName(templateName);
-    return config.prompt_renderer || 'location';
+    return config.output_repair_attempts ?? defaultAttempts;
   } catch (error) {
-    return 'location';
+    return defaultAttempts;
   }
 }
 
+/**
+ * Get the fallback chain tried when the template's model is rate-limited or down
+ * Entries are model names (same provider) or { provider, model } objects
+ * @param {string} templateName - Name of the template configuration
+ * @returns {Array<string|Object>} Fallback models in order
+ */
+export function getFallbackModelsForTemplate(templateName) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.fallback_models || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get how many times a failed request is retried before falling back
+ * @param {string} templateName - Name of the template configuration
+ * @param {number} defaultRetries - Default number of retries if not in config
+ * @returns {number} Retries per model
+ */
+export function getMaxRetriesForTemplate(templateName, defaultRetries = DEFAULT_MAX_RETRIES) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.max_retries ?? defaultRetries;
+  } catch (error) {
+    return defaultRetries;
+  }
+}
+
+/**
+ * Get the request timeout from config or use default
+ * @param {string} templateName - Name of the template configuration
+ * @param {number} defaultTimeout - Default timeout in milliseconds if not in config
+ * @returns {number} Timeout per request attempt in milliseconds
+ */
+export function getTimeoutForTemplate(templateName, defaultTimeout = DEFAULT_TIMEOUT_MS) {
+  try {
+    const config = getConfigByTemplateName(templateName);
+    return config.timeout_ms ?? defaultTimeout;
+  } catch (error) {
+    return defaultTimeout;
+  }
+}
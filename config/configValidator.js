@@ -0,0 +1,237 @@
+/**
+ * Schema checks for config/llm-config.json
+ * Run when the config is loaded at startup and before every hot reload
+ */
+
+import { getCompiledPrompt } from '../prompts/index.js';
+import { listProviders } from '../services/llmProviders.js';
+import { checkSchemaDefinition } from '../services/jsonSchema.js';
+
+// Field name -> expected type(s); `null` allows the field to be explicitly null
+const FIELD_TYPES = {
+  template_name: ['string'],
+  provider: ['string'],
+  model: ['string'],
+  temperature: ['number'],
+  system_prompt: ['string'],
+  user_prompt: ['string'],
+  max_tokens: ['number', null],
+  cache_ttl_seconds: ['number', null],
+  output_schema: ['object', null],
+  output_repair_attempts: ['number', null],
+  fallback_models: ['object', null],
+  max_retries: ['number', null],
+  timeout_ms: ['number', null],
+  variants: ['object', null],
+  variant_assignment: ['string', null],
+};
+
+// Fields a variant may override; everything else comes from the template entry
+const VARIANT_FIELDS = ['provider', 'model', 'temperature', 'system_prompt', 'user_prompt', 'max_tokens', 'fallback_models'];
+
+const VARIANT_ASSIGNMENTS = ['entity', 'client'];
+
+const REQUIRED_FIELDS = ['template_name', 'model', 'system_prompt', 'user_prompt'];
+
+/**
+ * Check that a prompt template path exists in prompts/ and compiles
+ */
+function validatePromptPath(promptPath) {
+  try {
+    getCompiledPrompt(promptPath);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check a fallback_models list: model names, or { provider, model } objects
+ */
+function validateFallbackModels(fallbackModels) {
+  if (!Array.isArray(fallbackModels)) {
+    return ['"fallback_models" must be an array'];
+  }
+
+  const errors = [];
+  fallbackModels.forEach((fallback, index) => {
+    if (typeof fallback === 'string' && fallback) return;
+    if (fallback && typeof fallback === 'object' && typeof fallback.model === 'string' && fallback.model) {
+      if (fallback.provider !== undefined && !listProviders().includes(fallback.provider)) {
+        errors.push(`fallback_models[${index}]: unknown provider "${fallback.provider}"`);
+      }
+      return;
+    }
+    errors.push(`fallback_models[${index}] must be a model name or an object with "model" (and optional "provider")`);
+  });
+  return errors;
+}
+
+/**
+ * Check a variants list: named, weighted overrides of the template's model and prompts
+ * Each variant is validated as the template entry with its overrides applied
+ */
+function validateVariants(entry, label) {
+  if (!Array.isArray(entry.variants) || entry.variants.length === 0) {
+    return [`${label}: "variants" must be a non-empty array`];
+  }
+
+  const errors = [];
+  const seenNames = new Set();
+  const { variants, variant_assignment, ...base } = entry;
+
+  variants.forEach((variant, index) => {
+    const variantLabel = `${label} variants[${index}]`;
+    if (variant === null || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(`${variantLabel}: must be an object`);
+      return;
+    }
+
+    const { name, weight, ...overrides } = variant;
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name)) {
+      errors.push(`${variantLabel}: "name" is required and may only contain letters, digits, "_" and "-"`);
+    } else if (seenNames.has(name)) {
+      errors.push(`${variantLabel}: duplicate variant name "${name}"`);
+    } else {
+      seenNames.add(name);
+    }
+
+    if (typeof weight !== 'number' || weight < 0) {
+      errors.push(`${variantLabel}: "weight" must be a non-negative number`);
+    }
+
+    for (const field of Object.keys(overrides)) {
+      if (!VARIANT_FIELDS.includes(field)) {
+        errors.push(`${variantLabel}: field "${field}" cannot be set per variant (allowed: ${VARIANT_FIELDS.join(', ')})`);
+        delete overrides[field];
+      }
+    }
+
+    errors.push(...validateEntry({ ...base, ...overrides }, typeof name === 'string' ? `${label} variant "${name}"` : variantLabel));
+  });
+
+  const totalWeight = variants.reduce((sum, variant) => sum + (typeof variant?.weight === 'number' ? variant.weight : 0), 0);
+  if (totalWeight <= 0) {
+    errors.push(`${label}: at least one variant must have a weight above 0`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one config entry
+ * @param {Object} entry - Config entry
+ * @param {string} label - Label used in error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateEntry(entry, label) {
+  const errors = [];
+
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${label}: must be an object`];
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (entry[field] === undefined || entry[field] === '') {
+      errors.push(`${label}: "${field}" is required`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(entry)) {
+    const allowedTypes = FIELD_TYPES[field];
+    if (!allowedTypes) {
+      errors.push(`${label}: unknown field "${field}"`);
+      continue;
+    }
+    const valueType = value === null ? null : typeof value;
+    if (!allowedTypes.includes(valueType)) {
+      errors.push(`${label}: "${field}" must be ${allowedTypes.map(t => t ?? 'null').join(' or ')}`);
+    }
+  }
+
+  if (typeof entry.temperature === 'number' && (entry.temperature < 0 || entry.temperature > 2)) {
+    errors.push(`${label}: "temperature" must be between 0 and 2 (got ${entry.temperature})`);
+  }
+
+  if (typeof entry.max_tokens === 'number' && (!Number.isInteger(entry.max_tokens) || entry.max_tokens <= 0)) {
+    errors.push(`${label}: "max_tokens" must be a positive integer or null`);
+  }
+
+  if (typeof entry.cache_ttl_seconds === 'number' && (!Number.isInteger(entry.cache_ttl_seconds) || entry.cache_ttl_seconds < 0)) {
+    errors.push(`${label}: "cache_ttl_seconds" must be a non-negative integer or null`);
+  }
+
+  if (typeof entry.output_repair_attempts === 'number' && (!Number.isInteger(entry.output_repair_attempts) || entry.output_repair_attempts < 0)) {
+    errors.push(`${label}: "output_repair_attempts" must be a non-negative integer or null`);
+  }
+
+  if (typeof entry.max_retries === 'number' && (!Number.isInteger(entry.max_retries) || entry.max_retries < 0)) {
+    errors.push(`${label}: "max_retries" must be a non-negative integer or null`);
+  }
+
+  if (typeof entry.timeout_ms === 'number' && (!Number.isInteger(entry.timeout_ms) || entry.timeout_ms <= 0)) {
+    errors.push(`${label}: "timeout_ms" must be a positive integer or null`);
+  }
+
+  if (entry.fallback_models && typeof entry.fallback_models === 'object') {
+    errors.push(...validateFallbackModels(entry.fallback_models).map(error => `${label}: ${error}`));
+  }
+
+  if (entry.output_schema && typeof entry.output_schema === 'object') {
+    const schemaErrors = checkSchemaDefinition(entry.output_schema, 'output_schema');
+    if (entry.output_schema.type !== 'object') {
+      schemaErrors.unshift('output_schema must have "type": "object" (JSON mode only returns objects)');
+    }
+    errors.push(...schemaErrors.map(error => `${label}: ${error}`));
+  }
+
+  if (entry.variants) {
+    errors.push(...validateVariants(entry, label));
+  }
+
+  if (typeof entry.variant_assignment === 'string' && !VARIANT_ASSIGNMENTS.includes(entry.variant_assignment)) {
+    errors.push(`${label}: "variant_assignment" must be one of ${VARIANT_ASSIGNMENTS.join(', ')}`);
+  }
+
+  if (typeof entry.provider === 'string' && !listProviders().includes(entry.provider)) {
+    errors.push(`${label}: unknown provider "${entry.provider}" (registered: ${listProviders().join(', ')})`);
+  }
+
+  for (const field of ['system_prompt', 'user_prompt']) {
+    if (typeof entry[field] !== 'string' || !entry[field]) continue;
+    const promptError = validatePromptPath(entry[field]);
+    if (promptError) {
+      errors.push(`${label}: ${field} "${entry[field]}" is invalid: ${promptError}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the whole LLM config
+ * @param {*} config - Parsed llm-config.json content
+ * @returns {Array<string>} Validation errors (empty if the config is valid)
+ */
+export function validateLLMConfig(config) {
+  if (!Array.isArray(config)) {
+    return ['LLM config must be an array'];
+  }
+
+  const errors = [];
+  const seenNames = new Set();
+
+  config.forEach((entry, index) => {
+    const label = entry?.template_name ? `"${entry.template_name}"` : `entry ${index}`;
+    errors.push(...validateEntry(entry, label));
+
+    if (entry?.template_name) {
+      if (seenNames.has(entry.template_name)) {
+        errors.push(`${label}: duplicate template_name`);
+      }
+      seenNames.add(entry.template_name);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,15 @@
+/**
+ * Defaults for LLM and vision requests, used when a template does not set its own
+ * Kept in config/ so the config loader and the request helpers in services/ can share them
+ * without config/ depending on services/.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Retries per model before falling back to the next one (LLM_MAX_RETRIES)
+export const DEFAULT_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+
+// Timeout per request attempt in milliseconds (LLM_TIMEOUT_MS)
+export const DEFAULT_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
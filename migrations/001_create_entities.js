@@ -0,0 +1,50 @@
+/**
+ * Migration 001: unified entities table for characters and locations
+ * The original schema from setup-database.js: the fields used by /api/search, the embedding
+ * for vector search and its index. Episodes (migration 010) and the full-text search document
+ * (migration 011) are added by later migrations.
+ */
+
+export const description = 'Create entities table with embedding index';
+
+export async function up(client) {
+  await client.query('CREATE EXTENSION IF NOT EXISTS vector;');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS entities (
+      id INTEGER NOT NULL,
+      entity_type TEXT NOT NULL CHECK (entity_type IN ('character', 'location')),
+      name TEXT NOT NULL,
+      -- Character-specific fields (NULL for locations)
+      status TEXT,
+      species TEXT,
+      type TEXT,
+      gender TEXT,
+      image TEXT,
+      location_name TEXT,
+      -- Location-specific fields (NULL for characters)
+      location_type TEXT,
+      dimension TEXT,
+      -- Embedding for semantic search
+      embedding vector(768),
+      PRIMARY KEY (id, entity_type)
+    );
+  `);
+
+  // Index for vector similarity search
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS entities_embedding_idx
+    ON entities USING ivfflat (embedding vector_cosine_ops)
+    WITH (lists = 100)
+    WHERE embedding IS NOT NULL;
+  `);
+
+  // Indexes for common queries
+  await client.query('CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(name);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(entity_type);');
+}
+
+export async function down(client) {
+  // The extension is left installed; other database objects may rely on it
+  await client.query('DROP TABLE IF EXISTS entities;');
+}
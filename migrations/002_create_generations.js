@@ -0,0 +1,26 @@
+/**
+ * Migration 002: generation cache for LLM and vision outputs
+ * entity_key joins entity references, e.g. "character:1|character:2|location:3"
+ */
+
+export const description = 'Create generations cache table';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS generations (
+      entity_key TEXT NOT NULL,
+      template_name TEXT NOT NULL,
+      model TEXT NOT NULL,
+      prompt_hash TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ,
+      PRIMARY KEY (entity_key, template_name, model, prompt_hash)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_generations_expires_at ON generations(expires_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS generations;');
+}
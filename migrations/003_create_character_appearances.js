@@ -0,0 +1,24 @@
+/**
+ * Migration 003: character appearances from vision analysis
+ * Reused by runtime services and sync while the source image is unchanged
+ */
+
+export const description = 'Create character_appearances table';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS character_appearances (
+      character_id INTEGER PRIMARY KEY,
+      appearance TEXT NOT NULL,
+      image_url TEXT NOT NULL,
+      image_hash TEXT,
+      vision_model TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS character_appearances;');
+}
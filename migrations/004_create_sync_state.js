@@ -0,0 +1,34 @@
+/**
+ * Migration 004: state for incremental, resumable syncs
+ * sync_state holds the content hash of every stored entity so unchanged entities are skipped;
+ * sync_checkpoints holds the last completed page and entity of each entity type for --resume
+ */
+
+export const description = 'Create sync_state and sync_checkpoints tables';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      entity_type VARCHAR(20) NOT NULL,
+      entity_id INTEGER NOT NULL,
+      content_hash TEXT NOT NULL,
+      synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (entity_type, entity_id)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sync_checkpoints (
+      entity_type VARCHAR(20) PRIMARY KEY,
+      status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed')),
+      last_page INTEGER NOT NULL DEFAULT 0,
+      last_entity_id INTEGER NOT NULL DEFAULT 0,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS sync_checkpoints;');
+  await client.query('DROP TABLE IF EXISTS sync_state;');
+}
@@ -0,0 +1,45 @@
+/**
+ * Migration 005: normalized relationships between characters, episodes and locations
+ * Populated by sync-data from the API data, so structural questions ("who appeared in S02E03",
+ * "residents of Citadel of Ricks") are answered from the database.
+ * Ids reference `entities` rows of the matching entity type; there are no foreign keys because
+ * entities are keyed by (id, entity_type) and relations may be synced before their targets.
+ */
+
+export const description = 'Create character_episodes, character_origin and location_residents tables';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS character_episodes (
+      character_id INTEGER NOT NULL,
+      episode_id INTEGER NOT NULL,
+      PRIMARY KEY (character_id, episode_id)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_character_episodes_episode ON character_episodes(episode_id);');
+
+  // location_id is NULL for origins the API reports as "unknown"
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS character_origin (
+      character_id INTEGER PRIMARY KEY,
+      location_id INTEGER,
+      origin_name TEXT NOT NULL
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_character_origin_location ON character_origin(location_id);');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS location_residents (
+      location_id INTEGER NOT NULL,
+      character_id INTEGER NOT NULL,
+      PRIMARY KEY (location_id, character_id)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_location_residents_character ON location_residents(character_id);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS location_residents;');
+  await client.query('DROP TABLE IF EXISTS character_origin;');
+  await client.query('DROP TABLE IF EXISTS character_episodes;');
+}
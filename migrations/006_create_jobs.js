@@ -0,0 +1,31 @@
+/**
+ * Migration 006: asynchronous jobs for long-running generations
+ * Jobs are queued by POST /api/jobs and claimed by the worker loop in the server process.
+ * heartbeat_at is refreshed while a job runs, so jobs orphaned by a crash or restart can be requeued.
+ */
+
+export const description = 'Create jobs table';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id UUID PRIMARY KEY,
+      type TEXT NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+      progress JSONB,
+      result JSONB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      heartbeat_at TIMESTAMPTZ,
+      completed_at TIMESTAMPTZ
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_status_created_at ON jobs(status, created_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS jobs;');
+}
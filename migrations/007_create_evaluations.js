@@ -0,0 +1,35 @@
+/**
+ * Migration 007: evaluation history
+ * Every description evaluation is stored with the entity, the generation template, model and
+ * prompt hash the description is attributed to, and the evaluator's scores and checks, so
+ * GET /api/analytics/evaluations can compare templates and models over time.
+ * model is NULL when the evaluated description could not be attributed to a model.
+ */
+
+export const description = 'Create evaluations table';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS evaluations (
+      id BIGSERIAL PRIMARY KEY,
+      entity_type TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      template_name TEXT NOT NULL,
+      model TEXT,
+      prompt_hash TEXT NOT NULL,
+      description_hash TEXT NOT NULL,
+      evaluator_model TEXT NOT NULL,
+      auto_score REAL NOT NULL,
+      checks JSONB NOT NULL DEFAULT '{}',
+      quality_checks JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_evaluations_template_model ON evaluations(template_name, model, created_at);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_evaluations_created_at ON evaluations(created_at);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_evaluations_entity ON evaluations(entity_type, entity_id);');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS evaluations;');
+}
@@ -0,0 +1,16 @@
+/**
+ * Migration 008: record the prompt/model variant of evaluated descriptions
+ * variant is NULL for templates without variants and for descriptions that could not be attributed.
+ */
+
+export const description = 'Add variant to evaluations';
+
+export async function up(client) {
+  await client.query('ALTER TABLE evaluations ADD COLUMN IF NOT EXISTS variant TEXT;');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_evaluations_template_variant ON evaluations(template_name, variant, created_at);');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_evaluations_template_variant;');
+  await client.query('ALTER TABLE evaluations DROP COLUMN IF EXISTS variant;');
+}
@@ -0,0 +1,28 @@
+/**
+ * Migration 009: deterministic rule checks next to the LLM evaluator's verdict
+ * rule_checks and rule_score hold the code-verified checks, disagreements the checks where they
+ * differ from the LLM, and blended_score the blend of rule_score and auto_score.
+ * Evaluations stored before this migration keep empty rule checks and NULL scores.
+ */
+
+export const description = 'Add rule checks to evaluations';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE evaluations
+      ADD COLUMN IF NOT EXISTS rule_checks JSONB NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS rule_score REAL,
+      ADD COLUMN IF NOT EXISTS blended_score REAL,
+      ADD COLUMN IF NOT EXISTS disagreements JSONB NOT NULL DEFAULT '[]';
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE evaluations
+      DROP COLUMN IF EXISTS rule_checks,
+      DROP COLUMN IF EXISTS rule_score,
+      DROP COLUMN IF EXISTS blended_score,
+      DROP COLUMN IF EXISTS disagreements;
+  `);
+}
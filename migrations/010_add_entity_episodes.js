@@ -0,0 +1,38 @@
+/**
+ * Migration 010: episodes in the entities table
+ * Widens the entity type check to 'episode' and adds the episode columns
+ * (episode_code, air_date, character_ids), which are NULL for characters and locations.
+ * Databases created by setup-database.js with episodes already have them; `up` leaves them as they are.
+ */
+
+export const description = 'Add episodes to entities';
+
+export async function up(client) {
+  await client.query('ALTER TABLE entities DROP CONSTRAINT IF EXISTS entities_entity_type_check;');
+  await client.query(`
+    ALTER TABLE entities ADD CONSTRAINT entities_entity_type_check
+    CHECK (entity_type IN ('character', 'location', 'episode'));
+  `);
+  await client.query(`
+    ALTER TABLE entities
+      ADD COLUMN IF NOT EXISTS episode_code TEXT,
+      ADD COLUMN IF NOT EXISTS air_date TEXT,
+      ADD COLUMN IF NOT EXISTS character_ids INTEGER[];
+  `);
+}
+
+export async function down(client) {
+  // Episode rows cannot satisfy the narrower check, so they are removed with their columns
+  await client.query("DELETE FROM entities WHERE entity_type = 'episode';");
+  await client.query(`
+    ALTER TABLE entities
+      DROP COLUMN IF EXISTS episode_code,
+      DROP COLUMN IF EXISTS air_date,
+      DROP COLUMN IF EXISTS character_ids;
+  `);
+  await client.query('ALTER TABLE entities DROP CONSTRAINT IF EXISTS entities_entity_type_check;');
+  await client.query(`
+    ALTER TABLE entities ADD CONSTRAINT entities_entity_type_check
+    CHECK (entity_type IN ('character', 'location'));
+  `);
+}
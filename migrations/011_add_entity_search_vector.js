@@ -0,0 +1,50 @@
+/**
+ * Migration 011: lexical search over entities
+ * Adds search_vector, a full-text search document generated by Postgres from the name and the
+ * descriptive fields (including the episode columns from migration 010), with its GIN index, and
+ * a pg_trgm index on names for fuzzy matching in hybrid search.
+ * A search_vector from before episodes is recreated so it covers episode codes and air dates.
+ */
+
+export const description = 'Add full-text search document and trigram name index to entities';
+
+export async function up(client) {
+  // pg_trgm for fuzzy name matching in hybrid search
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+
+  // Recreate search_vector if it predates episodes (it must cover episode codes)
+  const searchVector = await client.query(`
+    SELECT pg_get_expr(d.adbin, d.adrelid) AS expression
+    FROM pg_attrdef d
+    JOIN pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+    WHERE d.adrelid = 'entities'::regclass AND a.attname = 'search_vector'
+  `);
+  if (searchVector.rows[0] && !searchVector.rows[0].expression.includes('episode_code')) {
+    await client.query('ALTER TABLE entities DROP COLUMN search_vector;');
+  }
+
+  // Full-text search document for hybrid search, kept in sync by Postgres
+  await client.query(`
+    ALTER TABLE entities ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('english',
+        coalesce(species, '') || ' ' || coalesce(type, '') || ' ' || coalesce(status, '') || ' ' ||
+        coalesce(gender, '') || ' ' || coalesce(location_name, '') || ' ' ||
+        coalesce(location_type, '') || ' ' || coalesce(dimension, '') || ' ' ||
+        coalesce(episode_code, '') || ' ' || coalesce(air_date, '')
+      ), 'B')
+    ) STORED;
+  `);
+
+  // Indexes for lexical search (full-text and trigram name matching)
+  await client.query('CREATE INDEX IF NOT EXISTS idx_entities_search_vector ON entities USING gin (search_vector);');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_entities_name_trgm ON entities USING gin (name gin_trgm_ops);');
+}
+
+export async function down(client) {
+  // The extension is left installed; other database objects may rely on it
+  await client.query('DROP INDEX IF EXISTS idx_entities_name_trgm;');
+  await client.query('DROP INDEX IF EXISTS idx_entities_search_vector;');
+  await client.query('ALTER TABLE entities DROP COLUMN IF EXISTS search_vector;');
+}
@@ -0,0 +1,175 @@
+/**
+ * Versioned database migrations
+ * Every module in this directory named `<version>_<name>.js` (e.g. 001_create_entities.js)
+ * exports `up(client)`, `down(client)` and a `description`. Applied versions are recorded in
+ * `schema_migrations`. Each migration runs in its own transaction, and an advisory lock keeps
+ * two processes from migrating the same database at once.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock, shared by every process that runs migrations
+const MIGRATION_LOCK_KEY = 727274;
+
+/**
+ * Import all migration modules in version order
+ * @returns {Promise<Array<{version: number, name: string, description: string, up: Function, down: Function}>>}
+ * @throws {Error} If two files share a version or a module lacks up/down
+ */
+async function discoverMigrations() {
+  const migrations = [];
+  const files = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(__dirname, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(client) and down(client)`);
+    }
+    if (migrations.some(migration => migration.version === parseInt(version, 10))) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    migrations.push({
+      version: parseInt(version, 10),
+      name,
+      description: module.description || name,
+      up: module.up,
+      down: module.down,
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+export const migrations = await discoverMigrations();
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Run a function while holding the migration lock
+ */
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+/**
+ * Run one migration step in a transaction and record it in schema_migrations
+ */
+async function runStep(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  console.log(`${direction === 'up' ? 'Applying' : 'Rolling back'} ${label}: ${migration.description}...`);
+
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await migration.up(client);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label} ${direction} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} client - Connected pg client
+ * @param {Object} options - Options
+ * @param {number} options.to - Last version to apply (default: all)
+ * @returns {Promise<Array<number>>} Versions applied
+ */
+export async function applyMigrations(client, { to = Infinity } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+    return pending.map(migration => migration.version);
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} client - Connected pg client
+ * @param {Object} options - Options
+ * @param {number} options.steps - Number of migrations to roll back (default: 1)
+ * @param {number} options.to - Roll back every migration above this version (overrides steps; 0 rolls back all)
+ * @returns {Promise<Array<number>>} Versions rolled back
+ * @throws {Error} If an applied migration has no module to roll it back with
+ */
+export async function rollbackMigrations(client, { steps = 1, to = null } = {}) {
+  return withMigrationLock(client, async () => {
+    const applied = (await getAppliedMigrations(client)).map(row => row.version).reverse();
+    const targets = to === null ? applied.slice(0, steps) : applied.filter(version => version > to);
+
+    for (const version of targets) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${version}: no migration file for it`);
+      }
+      await runStep(client, migration, 'down');
+    }
+    return targets;
+  });
+}
+
+/**
+ * Status of every known and applied migration
+ * @param {Object} client - Connected pg client
+ * @returns {Promise<Array<{version: number, name: string, description: string|null, status: string, appliedAt: Date|null}>>}
+ *   status is "applied", "pending" or "missing" (applied, but its file no longer exists)
+ */
+export async function getMigrationStatus(client) {
+  await ensureMigrationsTable(client);
+  const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    status: applied.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: applied.get(migration.version)?.applied_at || null,
+  }));
+
+  for (const [version, row] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      status.push({ version, name: row.name, description: null, status: 'missing', appliedAt: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
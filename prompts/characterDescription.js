@@ -1,6 +1,6 @@
 /**
  * Prompt templates for character description generation
- * Use template replacement with {{variableName}} syntax
+ * Rendered by prompts/templateEngine.js ({{variable}}, {{#if}}, {{#each}})
  */
 
 export const prompts = {
@@ -29,7 +29,11 @@ Location Information:
 - Dimension: {{locationDimension}}
 
 Episodes ({{episodesCount}} total, showing latest 10):
-{{episodesList}}
+{{#each episodes}}
+{{@number}}. "{{name}}" ({{episode}}) - Aired: {{airDate}}
+{{else}}
+No episodes available.
+{{/each}}
 
 Generate a compelling description (1-2 paragraphs maximum with no more than 150 words) that captures the essence of this character in the Rick and Morty universe. Include their visual appearance, background, and role in the show.`,
     
@@ -54,7 +58,11 @@ Visual Appearance:
 {{visualAppearance}}
 
 Episodes ({{episodesCount}} total, showing latest 10):
-{{episodesList}}
+{{#each episodes}}
+{{@number}}. "{{name}}" ({{episode}}) - Aired: {{airDate}}
+{{else}}
+No episodes available.
+{{/each}}
 
 Provide exactly 5 insights, one per line, numbered 1-2. Each insight should be a complete, standalone observation that could serve as a note about this character. The note can be funny or sarcastic or just a fact about the character. Add emojis in notes to make it more engaging.`,
     
@@ -71,7 +79,11 @@ Character 1: {{character1Name}}
 - Current Location: {{character1Location}}
 - Visual Appearance: {{character1VisualAppearance}}
 - Episodes ({{character1EpisodesCount}} total, latest 10):
-{{character1EpisodesList}}
+{{#each character1Episodes}}
+{{@number}}. "{{name}}" ({{episode}}) - {{airDate}}
+{{else}}
+No episodes available.
+{{/each}}
 
 Character 2: {{character2Name}}
 - Status: {{character2Status}}
@@ -82,7 +94,11 @@ Character 2: {{character2Name}}
 - Current Location: {{character2Location}}
 - Visual Appearance: {{character2VisualAppearance}}
 - Episodes ({{character2EpisodesCount}} total, latest 10):
-{{character2EpisodesList}}
+{{#each character2Episodes}}
+{{@number}}. "{{name}}" ({{episode}}) - {{airDate}}
+{{else}}
+No episodes available.
+{{/each}}
 
 Location Context: {{locationName}}
 - Type: {{locationType}}
@@ -115,21 +131,25 @@ Character Information:
 - Name: {{characterName}}
 - Status: {{characterStatus}}
 - Species: {{characterSpecies}}
-- Type: {{characterType}}{{characterTypeNote}}
+- Type: {{#if characterType}}{{characterType}}{{else}}Unknown (may be "Unknown"){{/if}}
 - Gender: {{characterGender}}
-- Origin: {{characterOrigin}}{{originNote}}
-- Current Location: {{characterLocation}}{{locationNote}}
+- Origin: {{#if characterOrigin}}{{characterOrigin}}{{else}}Unknown (may be "Unknown"){{/if}}
+- Current Location: {{#if characterLocation}}{{characterLocation}}{{else}}Unknown (may be "Unknown"){{/if}}
 
 Visual Appearance:
 {{visualAppearance}}
 
 Location Information:
-- Name: {{locationName}}{{locationNameNote}}
-- Type: {{locationType}}{{locationTypeNote}}
-- Dimension: {{locationDimension}}{{dimensionNote}}
+- Name: {{#if locationName}}{{locationName}}{{else}}Unknown (may be "Unknown"){{/if}}
+- Type: {{#if locationType}}{{locationType}}{{else}}Unknown (may be "Unknown"){{/if}}
+- Dimension: {{#if locationDimension}}{{locationDimension}}{{else}}Unknown (may be "Unknown"){{/if}}
 
 Episodes ({{episodesCount}} total, showing latest 10):
-{{episodesList}}
+{{#each episodes}}
+{{@number}}. "{{name}}" ({{episode}}) - Aired: {{airDate}}
+{{else}}
+No episodes available.
+{{/each}}
 
 Generated Description:
 {{description}}
@@ -171,54 +191,3 @@ Scoring Guidelines:
 For "mentioned" checks, consider if the information is clearly present in the description, even if not using exact words. Use semantic understanding. Set typeMentioned, originMentioned, and locationMentioned to false if the corresponding value is "Unknown". Evaluate how well the description matches your knowledge of this character from Rick and Morty lore and the provided data.`,
   },
 };
-
-/**
- * Get a prompt template by name
- * @param {string} templateName - Name of the template (e.g., 'characterDescription.system')
- * @returns {string} The prompt template
- */
-export function getPromptTemplate(templateName) {
-  const parts = templateName.split('.');
-  let template = prompts;
-  
-  for (const part of parts) {
-    if (template[part] === undefined) {
-      throw new Error(`Prompt template "${templateName}" not found`);
-    }
-    template = template[part];
-  }
-  
-  if (typeof template !== 'string') {
-    throw new Error(`Prompt template "${templateName}" is not a string`);
-  }
-  
-  return template;
-}
-
-/**
- * Replace template variables in a string
- * @param {string} template - Template string with {{variable}} placeholders
- * @param {Object} data - Data object with values to replace
- * @returns {string} Template with variables replaced
- */
-export function replaceTemplateVariables(template, data) {
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    if (data[key] === undefined || data[key] === null) {
-      console.warn(`Template variable "${key}" not found in data, leaving placeholder`);
-      return match;
-    }
-    return String(data[key]);
-  });
-}
-
-/**
- * Get and render a prompt template
- * @param {string} templateName - Name of the template (e.g., 'characterDescription.user')
- * @param {Object} data - Data object for template replacement
- * @returns {string} Rendered prompt
- */
-export function renderPrompt(templateName, data = {}) {
-  const template = getPromptTemplate(templateName);
-  return replaceTemplateVariables(template, data);
-}
-
@@ -0,0 +1,39 @@
+/**
+ * Prompt templates for episode description generation
+ * Rendered by prompts/templateEngine.js ({{variable}}, {{#if}}, {{#each}})
+ */
+
+export const prompts = {
+  episodeDescription: {
+    system: `You are a creative writer who specializes in describing episodes of Rick and Morty. Your descriptions are engaging, humorous, and capture the unique style of the show.`,
+
+    user: `You are a knowledgeable expert on the Rick and Morty universe. Write a creative, engaging, and lore-aware description of the episode "{{episodeName}}".
+
+Use a tone that matches the humor, energy, and absurd sci-fi style of the show. Use your knowledge of the episode and the characters who appear in it, while keeping the description fun, vivid, and consistent with the Rick and Morty universe.
+
+***Episode Information***
+Name: {{episodeName}}
+Episode: {{episodeCode}}
+Air Date: {{airDate}}
+Total Characters: {{totalCharacterCount}}
+Cast
+(Showing {{charactersPassed}} of {{totalCharacterCount}}):
+{{#each characters}}
+{{@number}}. {{name}} - {{status}} {{species}}
+{{else}}
+No characters listed.
+{{/each}}
+
+***Instructions***
+1. Write one paragraph only.
+2. Mention all of the following explicitly in your description:
+  Episode Name
+  Episode Code (season and episode)
+  Air Date
+  Main characters from the cast
+3. Do not spoil the ending in detail; focus on the premise and the characters involved.
+4. The tone should feel like it fits naturally inside a Rick and Morty episode—quirky, witty, slightly chaotic, and imaginative.
+5. Stay consistent with known Rick and Morty lore where possible, but you may creatively extrapolate as long as it fits the universe.
+`,
+  },
+};
@@ -0,0 +1,108 @@
+/**
+ * Prompt template registry
+ * Discovers every module in this directory that exports a `prompts` object and merges
+ * them into one namespace, so config/llm-config.json can reference any template by
+ * path (e.g. "characterDescription.user") without registering renderers by hand.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { compileTemplate } from './templateEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Modules in this directory that are not prompt modules
+const NON_PROMPT_MODULES = new Set(['index.js', 'templateEngine.js']);
+
+/**
+ * Import all prompt modules and merge their `prompts` exports
+ * @returns {Promise<Object>} Prompt namespaces keyed by name (e.g. { locationDescription: {...} })
+ * @throws {Error} If two modules define the same namespace
+ */
+async function discoverPrompts() {
+  const registry = {};
+  const sources = {};
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && !NON_PROMPT_MODULES.has(file))
+    .sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(__dirname, file)).href);
+    if (!module.prompts) continue;
+
+    for (const [namespace, templates] of Object.entries(module.prompts)) {
+      if (registry[namespace]) {
+        throw new Error(`Prompt namespace "${namespace}" is defined in both ${sources[namespace]} and ${file}`);
+      }
+      registry[namespace] = templates;
+      sources[namespace] = file;
+    }
+  }
+
+  return registry;
+}
+
+export const prompts = await discoverPrompts();
+
+// Compiled templates, keyed by template path
+const compiledTemplates = new Map();
+
+/**
+ * Get a prompt template by name
+ * @param {string} templateName - Name of the template (e.g., 'characterDescription.system')
+ * @returns {string} The prompt template
+ */
+export function getPromptTemplate(templateName) {
+  const parts = templateName.split('.');
+  let template = prompts;
+
+  for (const part of parts) {
+    if (template[part] === undefined) {
+      throw new Error(`Prompt template "${templateName}" not found`);
+    }
+    template = template[part];
+  }
+
+  if (typeof template !== 'string') {
+    throw new Error(`Prompt template "${templateName}" is not a string`);
+  }
+
+  return template;
+}
+
+/**
+ * Compile a prompt template, caching the result
+ * Also used to check template syntax when the LLM config is validated
+ * @param {string} templateName - Name of the template (e.g., 'characterDescription.user')
+ * @returns {Function} Render function
+ */
+export function getCompiledPrompt(templateName) {
+  if (!compiledTemplates.has(templateName)) {
+    compiledTemplates.set(templateName, compileTemplate(getPromptTemplate(templateName), templateName));
+  }
+  return compiledTemplates.get(templateName);
+}
+
+/**
+ * Get and render a prompt template
+ * @param {string} templateName - Name of the template (e.g., 'characterDescription.user')
+ * @param {Object} data - Data object for template replacement
+ * @param {Object} options - Render options
+ * @param {boolean} options.strict - Throw on missing variables (default: true)
+ * @returns {string} Rendered prompt
+ */
+export function renderPrompt(templateName, data = {}, { strict = true } = {}) {
+  return getCompiledPrompt(templateName)(data, { strict });
+}
+
+/**
+ * List all template paths
+ * @returns {Array<string>} Template paths (e.g. ["characterDescription.system", ...])
+ */
+export function listPromptTemplates() {
+  return Object.entries(prompts).flatMap(([namespace, templates]) =>
+    Object.keys(templates).map(name => `${namespace}.${name}`)
+  );
+}
@@ -1,6 +1,6 @@
 /**
  * Prompt templates for location description generation
- * Use template replacement with {{variableName}} syntax
+ * Rendered by prompts/templateEngine.js ({{variable}}, {{#if}}, {{#each}})
  */
 
 export const prompts = {
@@ -18,10 +18,18 @@ Dimension: {{locationDimension}}
 Total Residents: {{totalResidentCount}}
 Sample Residents
 (Showing {{residentsPassed}} of {{totalResidentCount}}):
-{{residentsList}}
+{{#each residents}}
+{{@number}}. {{name}} - {{status}} {{species}}{{#if type}} ({{type}}){{/if}}, {{gender}}, from {{originName}}, currently at {{locationName}}
+{{else}}
+No residents listed.
+{{/each}}
 
 Additional Notes:
-{{residentsListNote}}
+{{#if totalResidentCount}}
+Showing {{residentsPassed}} sample residents out of {{totalResidentCount}} total.
+{{else}}
+No known residents in this location.
+{{/if}}
 
 ***Instructions***
 1. Write one paragraph only.
@@ -36,54 +44,3 @@ Additional Notes:
 `,
   },
 };
-
-/**
- * Get a prompt template by name
- * @param {string} templateName - Name of the template (e.g., 'locationDescription.system')
- * @returns {string} The prompt template
- */
-export function getPromptTemplate(templateName) {
-  const parts = templateName.split('.');
-  let template = prompts;
-  
-  for (const part of parts) {
-    if (template[part] === undefined) {
-      throw new Error(`Prompt template "${templateName}" not found`);
-    }
-    template = template[part];
-  }
-  
-  if (typeof template !== 'string') {
-    throw new Error(`Prompt template "${templateName}" is not a string`);
-  }
-  
-  return template;
-}
-
-/**
- * Replace template variables in a string
- * @param {string} template - Template string with {{variable}} placeholders
- * @param {Object} data - Data object with values to replace
- * @returns {string} Template with variables replaced
- */
-export function replaceTemplateVariables(template, data) {
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    if (data[key] === undefined || data[key] === null) {
-      console.warn(`Template variable "${key}" not found in data, leaving placeholder`);
-      return match;
-    }
-    return String(data[key]);
-  });
-}
-
-/**
- * Get and render a prompt template
- * @param {string} templateName - Name of the template (e.g., 'locationDescription.user')
- * @param {Object} data - Data object for template replacement
- * @returns {string} Rendered prompt
- */
-export function renderPrompt(templateName, data = {}) {
-  const template = getPromptTemplate(templateName);
-  return replaceTemplateVariables(template, data);
-}
-
@@ -1,6 +1,6 @@
 /**
  * Prompt templates for location description evaluation
- * Use template replacement with {{variableName}} syntax
+ * Rendered by prompts/templateEngine.js ({{variable}}, {{#if}}, {{#each}})
  */
 
 export const prompts = {
@@ -12,8 +12,8 @@ export const prompts = {
 ========================
 LOCATION INFORMATION
 - Name: {{locationName}}
-- Type: {{locationType}}{{locationTypeNote}}
-- Dimension: {{locationDimension}}{{dimensionNote}}
+- Type: {{#if locationType}}{{locationType}}{{else}}Unknown (may be "Unknown"){{/if}}
+- Dimension: {{#if locationDimension}}{{locationDimension}}{{else}}Unknown (may be "Unknown"){{/if}}
 - Total Residents: {{totalResidentCount}}
 
 GENERATED DESCRIPTION:
@@ -24,8 +24,8 @@ Your task is to evaluate whether the description correctly incorporates the requ
 
 REQUIRED MENTIONS (explicit or clear semantic reference):
 - Location Name ({{locationName}})
-- Location Type ({{locationType}})
-- Location Dimension ({{locationDimension}})
+- Location Type ({{#if locationType}}{{locationType}}{{else}}Unknown{{/if}})
+- Location Dimension ({{#if locationDimension}}{{locationDimension}}{{else}}Unknown{{/if}})
 - Total Residents ({{totalResidentCount}})
 
 QUALITY EXPECTATIONS:
@@ -69,54 +69,3 @@ NOTES:
 - The evaluator must judge based on *semantic meaning*, not exact keyword matching.`,
   },
 };
-
-/**
- * Get a prompt template by name
- * @param {string} templateName - Name of the template (e.g., 'locationEvaluation.system')
- * @returns {string} The prompt template
- */
-export function getPromptTemplate(templateName) {
-  const parts = templateName.split('.');
-  let template = prompts;
-  
-  for (const part of parts) {
-    if (template[part] === undefined) {
-      throw new Error(`Prompt template "${templateName}" not found`);
-    }
-    template = template[part];
-  }
-  
-  if (typeof template !== 'string') {
-    throw new Error(`Prompt template "${templateName}" is not a string`);
-  }
-  
-  return template;
-}
-
-/**
- * Replace template variables in a string
- * @param {string} template - Template string with {{variable}} placeholders
- * @param {Object} data - Data object with values to replace
- * @returns {string} Template with variables replaced
- */
-export function replaceTemplateVariables(template, data) {
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    if (data[key] === undefined || data[key] === null) {
-      console.warn(`Template variable "${key}" not found in data, leaving placeholder`);
-      return match;
-    }
-    return String(data[key]);
-  });
-}
-
-/**
- * Get and render a prompt template
- * @param {string} templateName - Name of the template (e.g., 'locationEvaluation.user')
- * @param {Object} data - Data object for template replacement
- * @returns {string} Rendered prompt
- */
-export function renderPrompt(templateName, data = {}) {
-  const template = getPromptTemplate(templateName);
-  return replaceTemplateVariables(template, data);
-}
-
@@ -0,0 +1,21 @@
+/**
+ * Prompt templates for structured (JSON) outputs
+ * Sent as a follow-up message when a response does not match the template's output_schema
+ * Rendered by prompts/templateEngine.js ({{variable}}, {{#if}}, {{#each}})
+ */
+
+export const prompts = {
+  structuredOutput: {
+    repair: `Your previous response could not be used because it is not valid JSON matching the required schema.
+
+Problems found:
+{{#each errors}}
+- {{this}}
+{{/each}}
+
+Required JSON schema:
+{{schema}}
+
+Return ONLY the corrected JSON object, with no markdown code fences or additional text.`,
+  },
+};
@@ -0,0 +1,220 @@
+/**
+ * Prompt template engine
+ * Supports {{variable}} substitution (with dotted paths), {{#if}}/{{#unless}} conditionals
+ * with optional {{else}}, and {{#each}} loops over arrays.
+ *
+ * Inside {{#each}}, item fields are available directly ({{name}}) or through {{this}},
+ * together with {{@index}} (0-based), {{@number}} (1-based), {{@first}} and {{@last}}.
+ * Block tags that sit on a line of their own do not leave an empty line behind.
+ * A variable that exists but is null renders as an empty string.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Split a template into text and tag tokens
+ */
+function tokenize(template) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+
+    const [, sigil, body] = match;
+    if (sigil === '#') {
+      const [block, ...args] = body.split(/\s+/);
+      tokens.push({ type: 'open', block, path: args.join(' ') });
+    } else if (sigil === '/') {
+      tokens.push({ type: 'close', block: body });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else' });
+    } else {
+      tokens.push({ type: 'var', path: body });
+    }
+
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+// A block tag alone on its line: {{#if x}}, {{/each}}, {{else}} ...
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*(?:[#/][^}]*|else)\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Remove the indentation and line break around block tags that stand alone on their line
+ */
+function trimStandaloneTags(template) {
+  return template.replace(STANDALONE_BLOCK_TAG, '$1');
+}
+
+/**
+ * Build a tree of nodes from tokens
+ */
+function parse(tokens, templateName) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseChildren : current.children;
+
+    if (token.type === 'text' || token.type === 'var') {
+      target.push(token);
+    } else if (token.type === 'open') {
+      if (!['if', 'unless', 'each'].includes(token.block)) {
+        throw new Error(`Unknown block "{{#${token.block}}}" in template "${templateName}"`);
+      }
+      if (!token.path) {
+        throw new Error(`Block "{{#${token.block}}}" needs a variable in template "${templateName}"`);
+      }
+      const node = { type: token.block, path: token.path, children: [], elseChildren: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error(`Unexpected "{{else}}" in template "${templateName}"`);
+      }
+      current.inElse = true;
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.type !== token.block) {
+        throw new Error(`Unexpected "{{/${token.block}}}" in template "${templateName}"`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed "{{#${stack[stack.length - 1].type}}}" in template "${templateName}"`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Resolve a variable path against the scope chain (innermost scope first)
+ * The search stops at the first scope that has the key, even when its value is null,
+ * so a null item field does not pick up a root variable of the same name.
+ * @returns {{found: boolean, value: *}}
+ */
+function lookup(scopes, path) {
+  if (path.startsWith('@')) {
+    const scope = scopes[scopes.length - 1];
+    return scope.meta && path in scope.meta
+      ? { found: true, value: scope.meta[path] }
+      : { found: false, value: undefined };
+  }
+
+  const parts = path.split('.');
+  const searchScopes = parts[0] === 'this' ? [scopes[scopes.length - 1]] : [...scopes].reverse();
+  const propertyPath = parts[0] === 'this' ? parts.slice(1) : parts;
+
+  for (const scope of searchScopes) {
+    let value = scope.data;
+    let found = true;
+    for (const part of propertyPath) {
+      if (value === null || value === undefined || typeof value !== 'object' || !(part in value)) {
+        found = false;
+        break;
+      }
+      value = value[part];
+    }
+    if (found && value !== undefined) {
+      return { found: true, value };
+    }
+  }
+
+  return { found: false, value: undefined };
+}
+
+/**
+ * Truthiness used by {{#if}} and {{#unless}}; empty arrays and strings are false
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const { found, value } = lookup(scopes, node.path);
+      if (!found) {
+        if (options.strict) {
+          throw new Error(`Template variable "${node.path}" is missing for template "${options.templateName}"`);
+        }
+        console.warn(`Template variable "${node.path}" not found in data, leaving placeholder`);
+        output += `{{${node.path}}}`;
+      } else {
+        output += value === null ? '' : String(value);
+      }
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const { value } = lookup(scopes, node.path);
+      const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+      output += renderNodes(condition ? node.children : node.elseChildren, scopes, options);
+    } else if (node.type === 'each') {
+      const { found, value } = lookup(scopes, node.path);
+      if (!found && options.strict) {
+        throw new Error(`Template variable "${node.path}" is missing for template "${options.templateName}"`);
+      }
+      if (found && value !== null && !Array.isArray(value)) {
+        throw new Error(`Template variable "${node.path}" must be an array for {{#each}} in template "${options.templateName}"`);
+      }
+      const items = value || [];
+      if (items.length === 0) {
+        output += renderNodes(node.elseChildren, scopes, options);
+        continue;
+      }
+      items.forEach((item, index) => {
+        const meta = {
+          '@index': index,
+          '@number': index + 1,
+          '@first': index === 0,
+          '@last': index === items.length - 1,
+        };
+        output += renderNodes(node.children, [...scopes, { data: item, meta }], options);
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compile a template into a reusable render function
+ * @param {string} template - Template source
+ * @param {string} templateName - Name used in error messages
+ * @returns {Function} render(data, options) returning the rendered string
+ */
+export function compileTemplate(template, templateName = 'inline') {
+  const nodes = parse(tokenize(trimStandaloneTags(template)), templateName);
+
+  return (data = {}, { strict = true } = {}) => renderNodes(nodes, [{ data }], { strict, templateName });
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template source
+ * @param {Object} data - Variables available to the template
+ * @param {Object} options - Render options
+ * @param {boolean} options.strict - Throw on a missing variable instead of leaving the placeholder (default: true)
+ * @param {string} options.templateName - Name used in error messages
+ * @returns {string} Rendered template
+ * @throws {Error} On syntax errors, or on missing variables in strict mode
+ */
+export function renderTemplate(template, data = {}, { strict = true, templateName = 'inline' } = {}) {
+  return compileTemplate(template, templateName)(data, { strict });
+}
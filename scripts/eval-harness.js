@@ -0,0 +1,501 @@
+/**
+ * Offline evaluation harness for generation prompts and models
+ *
+ * Generates descriptions for a fixed set of characters and locations with each template
+ * variant under test, scores every description with the LLM evaluators and writes a
+ * comparative report (JSON and Markdown) with mean autoScore and blended score, check pass
+ * rates, rule/LLM disagreements, latency and token usage per variant.
+ *
+ * Usage:
+ *   node scripts/eval-harness.js --characters=1,2,5-8 --locations=1,3 [options]
+ *
+ * Options:
+ *   --variants=<names>   Comma-separated templates to compare. "template@variant" runs one variant,
+ *                        a bare template name runs all of its variants (or its base config if it has none).
+ *                        Default: character_description_generation and location_description_generation
+ *   --contexts=<file>    Reuse the item contexts recorded in a previous JSON report instead of fetching
+ *                        entities and running vision analysis; without ids, every recorded item is run
+ *   --config=<file>      LLM config to use instead of config/llm-config.json
+ *   --out=<dir>          Report directory (default: eval-reports)
+ *   --concurrency=<n>    Generations run at the same time (default: EVAL_CONCURRENCY or 2)
+ *
+ * Generations bypass the generation cache and evaluations are not stored in the evaluation
+ * history, so a run does not affect the API. With LLM_PROVIDER_OVERRIDE=fixture (or a local
+ * openai-compatible provider) and --contexts, a run makes no network requests.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { pool } from '../services/db.js';
+import { initLLMConfig, getActiveLLMConfig, getConfigByTemplateName } from '../config/configLoader.js';
+import { generateCompletion } from '../services/llmService.js';
+import { buildCharacterContext } from '../services/characterDescriptionService.js';
+import { buildLocationContext } from '../services/descriptionService.js';
+import { evaluateCharacterDescription } from '../services/characterEvaluationService.js';
+import { evaluateLocationDescription } from '../services/locationEvaluationService.js';
+import { runWorkerPool } from '../services/workerPool.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/eval-harness.js [--characters=<ids>] [--locations=<ids>] [--variants=<names>] [--contexts=<file>] [--config=<file>] [--out=<dir>] [--concurrency=<n>]';
+
+const OPTIONS = ['characters', 'locations', 'variants', 'contexts', 'config', 'out', 'concurrency'];
+
+/**
+ * Entity types the harness can run: the generation template, how to build an item's context
+ * and how to evaluate a description against it
+ */
+const TARGETS = {
+  character: {
+    templateName: 'character_description_generation',
+    async buildContext(id) {
+      const { characterData, locationData, promptData } = await buildCharacterContext(id);
+      return { characterData, locationData, promptData };
+    },
+    evaluate: (description, context) => evaluateCharacterDescription(
+      description,
+      context.characterData,
+      context.locationData,
+      context.promptData
+    ),
+    label: context => context.characterData.name,
+  },
+  location: {
+    templateName: 'location_description_generation',
+    async buildContext(id) {
+      const { locationData, promptData } = await buildLocationContext(id);
+      return { locationData, promptData };
+    },
+    evaluate: (description, context) => evaluateLocationDescription(description, context.locationData, context.promptData),
+    label: context => context.locationData.name,
+  },
+};
+
+/**
+ * Parse --name=value options
+ * @throws {Error} If an argument is not a known option
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (!match || !OPTIONS.includes(match[1])) {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+    options[match[1]] = match[2];
+  }
+  return options;
+}
+
+/**
+ * Parse an id list such as "1,2,5-8"
+ * @returns {Array<number>} Unique ids in order
+ * @throws {Error} If an entry is not an id or an ascending range
+ */
+function parseIdList(value, name) {
+  if (value === undefined) return [];
+
+  const ids = [];
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const range = entry.match(/^(\d+)(?:-(\d+))?$/);
+    const from = range && parseInt(range[1], 10);
+    const to = range && parseInt(range[2] ?? range[1], 10);
+    if (!range || from === 0 || to < from) {
+      throw new Error(`--${name} must be a comma-separated list of ids or ranges (got "${entry}")`);
+    }
+    for (let id = from; id <= to; id++) {
+      ids.push(id);
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Expand variant names into qualified template names, grouped by entity type
+ * @returns {Object} { character: [...], location: [...] } qualified config names
+ * @throws {Error} If a template is not a description template or a variant does not exist
+ */
+function resolveVariants(value) {
+  const names = value
+    ? value.split(',').map(name => name.trim()).filter(Boolean)
+    : Object.values(TARGETS).map(target => target.templateName);
+  const byEntityType = Object.fromEntries(Object.keys(TARGETS).map(entityType => [entityType, []]));
+
+  for (const name of names) {
+    const [baseName, variantName] = name.split('@');
+    const entityType = Object.keys(TARGETS).find(type => TARGETS[type].templateName === baseName);
+    if (!entityType) {
+      const templates = Object.values(TARGETS).map(target => target.templateName).join(', ');
+      throw new Error(`--variants: "${baseName}" is not a description template (expected ${templates})`);
+    }
+
+    // Throws for unknown templates and variants
+    const config = getConfigByTemplateName(name);
+    const configNames = variantName !== undefined || !config.variants?.length
+      ? [name]
+      : config.variants.map(variant => `${baseName}@${variant.name}`);
+
+    for (const configName of configNames) {
+      if (!byEntityType[entityType].includes(configName)) {
+        byEntityType[entityType].push(configName);
+      }
+    }
+  }
+
+  return byEntityType;
+}
+
+/**
+ * Read the contexts recorded in a previous report
+ * @returns {Object} Contexts keyed by item key ("character:1")
+ */
+function readRecordedContexts(file) {
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!report.contexts || typeof report.contexts !== 'object') {
+    throw new Error(`${file} has no recorded contexts`);
+  }
+  return report.contexts;
+}
+
+const itemKey = item => `${item.entityType}:${item.id}`;
+
+/**
+ * Generate a description with one variant and evaluate it
+ */
+async function runCase({ item, configName, context }) {
+  const target = TARGETS[item.entityType];
+  const base = {
+    entityType: item.entityType,
+    id: item.id,
+    configName,
+    variant: configName.split('@')[1] || null,
+  };
+
+  try {
+    const generationStart = performance.now();
+    const generation = await generateCompletion(configName, context.promptData);
+    const generationMs = performance.now() - generationStart;
+
+    const evaluationStart = performance.now();
+    const evaluation = await target.evaluate(generation.text, context);
+    const evaluationMs = performance.now() - evaluationStart;
+
+    return {
+      ...base,
+      status: 'completed',
+      model: generation.model,
+      description: generation.text,
+      autoScore: evaluation.autoScore,
+      ruleScore: evaluation.ruleChecks.score,
+      blendedScore: evaluation.blendedScore,
+      checks: evaluation.checks || {},
+      qualityChecks: evaluation.qualityChecks || {},
+      ruleChecks: evaluation.ruleChecks.checks,
+      disagreements: evaluation.disagreements,
+      explanation: evaluation.explanation,
+      evaluatorModel: evaluation.model,
+      generationMs: Math.round(generationMs),
+      evaluationMs: Math.round(evaluationMs),
+      usage: generation.usage,
+    };
+  } catch (error) {
+    console.error(`❌ ${itemKey(item)} with ${configName} failed:`, error.message);
+    return { ...base, status: 'failed', error: error.message };
+  }
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+function percentile(values, fraction) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+/**
+ * Share of runs in which each check passed; runs where a rule check did not apply (null) are left out
+ */
+function passRates(runs, field) {
+  const keys = [...new Set(runs.flatMap(run => Object.keys(run[field])))].sort();
+  return Object.fromEntries(keys.map(key => {
+    const applicable = runs.filter(run => typeof run[field][key] === 'boolean');
+    return [key, applicable.length ? round(applicable.filter(run => run[field][key]).length / applicable.length, 3) : null];
+  }));
+}
+
+/**
+ * Share of runs in which the rule and LLM verdicts differ, per check
+ */
+function disagreementRates(runs) {
+  const keys = [...new Set(runs.flatMap(run => run.disagreements.map(disagreement => disagreement.check)))].sort();
+  return Object.fromEntries(keys.map(key => [
+    key,
+    round(runs.filter(run => run.disagreements.some(disagreement => disagreement.check === key)).length / runs.length, 3),
+  ]));
+}
+
+/**
+ * Aggregate the runs of one variant
+ */
+function summarizeVariant(entityType, configName, results) {
+  const runs = results.filter(result => result.configName === configName && result.entityType === entityType);
+  const completed = runs.filter(run => run.status === 'completed');
+  const scores = completed.map(run => run.autoScore);
+  const blendedScores = completed.map(run => run.blendedScore);
+  const generationMs = completed.map(run => run.generationMs);
+  const usages = completed.map(run => run.usage).filter(Boolean);
+
+  return {
+    template: TARGETS[entityType].templateName,
+    variant: configName.split('@')[1] || null,
+    configName,
+    models: [...new Set(completed.map(run => run.model))],
+    runs: runs.length,
+    succeeded: completed.length,
+    failed: runs.length - completed.length,
+    autoScore: {
+      mean: round(mean(scores)),
+      min: scores.length ? Math.min(...scores) : null,
+      max: scores.length ? Math.max(...scores) : null,
+    },
+    ruleScore: { mean: round(mean(completed.map(run => run.ruleScore).filter(score => score !== null))) },
+    blendedScore: {
+      mean: round(mean(blendedScores)),
+      min: blendedScores.length ? Math.min(...blendedScores) : null,
+      max: blendedScores.length ? Math.max(...blendedScores) : null,
+    },
+    checks: completed.length ? passRates(completed, 'checks') : {},
+    qualityChecks: completed.length ? passRates(completed, 'qualityChecks') : {},
+    ruleChecks: completed.length ? passRates(completed, 'ruleChecks') : {},
+    disagreements: disagreementRates(completed),
+    latencyMs: {
+      generationMean: round(mean(generationMs), 0),
+      generationP50: percentile(generationMs, 0.5),
+      generationP90: percentile(generationMs, 0.9),
+      evaluationMean: round(mean(completed.map(run => run.evaluationMs)), 0),
+    },
+    // Null when the provider did not report usage
+    tokens: usages.length ? {
+      promptMean: round(mean(usages.map(usage => usage.promptTokens)), 0),
+      completionMean: round(mean(usages.map(usage => usage.completionTokens)), 0),
+      totalMean: round(mean(usages.map(usage => usage.totalTokens)), 0),
+      total: usages.reduce((sum, usage) => sum + usage.totalTokens, 0),
+    } : null,
+  };
+}
+
+const formatValue = value => (value === null || value === undefined ? '–' : String(value));
+const formatRate = rate => (rate === undefined || rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Render the report as Markdown: one section per template comparing its variants
+ */
+function renderMarkdown(report) {
+  const lines = [
+    '# Evaluation report',
+    '',
+    `Generated ${report.generatedAt} with \`${report.config}\`${report.providerOverride ? ` (provider override: \`${report.providerOverride}\`)` : ''}.`,
+    '',
+  ];
+
+  for (const entityType of Object.keys(TARGETS)) {
+    const summaries = report.summaries.filter(summary => summary.template === TARGETS[entityType].templateName);
+    if (!summaries.length) continue;
+
+    const columnName = summary => summary.variant || 'base';
+    lines.push(`## ${TARGETS[entityType].templateName}`, '');
+
+    lines.push(markdownTable(
+      ['Variant', 'Model', 'Runs', 'Failed', 'Mean autoScore', 'Min', 'Max', 'Mean rule score', 'Mean blended score', 'Generation p50 (ms)', 'Generation p90 (ms)', 'Evaluation mean (ms)', 'Mean tokens'],
+      summaries.map(summary => [
+        columnName(summary),
+        formatValue(summary.models.join(', ') || null),
+        summary.runs,
+        summary.failed,
+        formatValue(summary.autoScore.mean),
+        formatValue(summary.autoScore.min),
+        formatValue(summary.autoScore.max),
+        formatValue(summary.ruleScore.mean),
+        formatValue(summary.blendedScore.mean),
+        formatValue(summary.latencyMs.generationP50),
+        formatValue(summary.latencyMs.generationP90),
+        formatValue(summary.latencyMs.evaluationMean),
+        formatValue(summary.tokens?.totalMean),
+      ])
+    ), '');
+
+    const sections = [
+      ['checks', 'Checks (pass rate)'],
+      ['qualityChecks', 'Quality checks (pass rate)'],
+      ['ruleChecks', 'Rule checks (pass rate)'],
+      ['disagreements', 'Rule/LLM disagreements (share of runs)'],
+    ];
+    for (const [field, title] of sections) {
+      const keys = [...new Set(summaries.flatMap(summary => Object.keys(summary[field])))].sort();
+      if (!keys.length) continue;
+      lines.push(`### ${title}`, '');
+      lines.push(markdownTable(
+        ['Check', ...summaries.map(columnName)],
+        keys.map(key => [`\`${key}\``, ...summaries.map(summary => formatRate(summary[field][key]))])
+      ), '');
+    }
+
+    const items = report.items.filter(item => item.entityType === entityType);
+    lines.push('### autoScore (blended score) per item', '');
+    lines.push(markdownTable(
+      ['Item', ...summaries.map(columnName)],
+      items.map(item => [
+        `${item.id} ${item.name || ''}`.trim(),
+        ...summaries.map(summary => {
+          const run = report.results.find(result => itemKey(result) === itemKey(item) && result.configName === summary.configName);
+          return run?.status === 'completed' ? `${run.autoScore} (${run.blendedScore})` : 'failed';
+        }),
+      ])
+    ), '');
+  }
+
+  const failures = report.results.filter(result => result.status === 'failed');
+  if (failures.length) {
+    lines.push('## Failures', '');
+    for (const failure of failures) {
+      lines.push(`- ${itemKey(failure)} with \`${failure.configName}\`: ${failure.error}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    initLLMConfig({ configPath: options.config ? path.resolve(options.config) : null });
+
+    const variants = resolveVariants(options.variants);
+    const recordedContexts = options.contexts ? readRecordedContexts(options.contexts) : {};
+    const concurrency = parseInt(options.concurrency || process.env.EVAL_CONCURRENCY || '2', 10);
+    if (!(concurrency > 0)) {
+      throw new Error('--concurrency must be a positive integer');
+    }
+
+    let items = [
+      ...parseIdList(options.characters, 'characters').map(id => ({ entityType: 'character', id })),
+      ...parseIdList(options.locations, 'locations').map(id => ({ entityType: 'location', id })),
+    ];
+    if (!items.length) {
+      // Without ids, rerun every item recorded in the contexts file
+      items = Object.keys(recordedContexts).map(key => {
+        const [entityType, id] = key.split(':');
+        return { entityType, id: parseInt(id, 10) };
+      }).filter(item => TARGETS[item.entityType]);
+    }
+    if (!items.length) {
+      throw new Error(`No items to evaluate; pass --characters, --locations or --contexts\n${USAGE}`);
+    }
+    for (const entityType of new Set(items.map(item => item.entityType))) {
+      if (!variants[entityType].length) {
+        throw new Error(`--variants has no ${TARGETS[entityType].templateName} variant for the ${entityType} items`);
+      }
+    }
+
+    console.log(`🚀 Evaluating ${items.length} item(s) with ${Object.values(variants).flat().join(', ')}\n`);
+
+    // Contexts are built once per item and shared by all variants, so every variant sees the same input
+    const contexts = {};
+    const contextErrors = {};
+    await runWorkerPool(items, async item => {
+      const key = itemKey(item);
+      try {
+        contexts[key] = recordedContexts[key] || await TARGETS[item.entityType].buildContext(item.id);
+      } catch (error) {
+        console.error(`❌ Context for ${key} failed:`, error.message);
+        contextErrors[key] = error.message;
+      }
+    }, { concurrency });
+
+    const cases = items.flatMap(item => variants[item.entityType].map(configName => ({
+      item,
+      configName,
+      context: contexts[itemKey(item)],
+    })));
+
+    let finished = 0;
+    const results = await runWorkerPool(cases, testCase => {
+      const error = contextErrors[itemKey(testCase.item)];
+      if (error) {
+        return {
+          entityType: testCase.item.entityType,
+          id: testCase.item.id,
+          configName: testCase.configName,
+          variant: testCase.configName.split('@')[1] || null,
+          status: 'failed',
+          error,
+        };
+      }
+      return runCase(testCase);
+    }, {
+      concurrency,
+      onResult: () => {
+        finished++;
+        console.log(`  ${finished}/${cases.length} runs finished`);
+      },
+    });
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      config: getActiveLLMConfig().path,
+      providerOverride: process.env.LLM_PROVIDER_OVERRIDE || null,
+      items: items.map(item => ({
+        ...item,
+        name: contexts[itemKey(item)] ? TARGETS[item.entityType].label(contexts[itemKey(item)]) : null,
+      })),
+      variants,
+      summaries: Object.entries(variants).flatMap(([entityType, configNames]) => (
+        items.some(item => item.entityType === entityType)
+          ? configNames.map(configName => summarizeVariant(entityType, configName, results))
+          : []
+      )),
+      results,
+      contexts,
+    };
+
+    const outDir = path.resolve(options.out || 'eval-reports');
+    fs.mkdirSync(outDir, { recursive: true });
+    const baseName = `eval-${report.generatedAt.replace(/[:.]/g, '-')}`;
+    const jsonFile = path.join(outDir, `${baseName}.json`);
+    const markdownFile = path.join(outDir, `${baseName}.md`);
+    fs.writeFileSync(jsonFile, `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(markdownFile, renderMarkdown(report));
+
+    console.log('\n📊 Results:');
+    for (const summary of report.summaries) {
+      console.log(`  ${summary.configName}: mean autoScore ${formatValue(summary.autoScore.mean)}, blended ${formatValue(summary.blendedScore.mean)} over ${summary.succeeded} run(s)${summary.failed ? `, ${summary.failed} failed` : ''}`);
+    }
+    console.log(`\n✅ Report written to ${jsonFile} and ${markdownFile}`);
+  } catch (error) {
+    console.error('❌ Evaluation harness failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
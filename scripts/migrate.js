@@ -0,0 +1,90 @@
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to=<version>]       Apply pending migrations (all, or up to a version)
+ *   node scripts/migrate.js down [--steps=<n>]        Roll back the last n migrations (default: 1)
+ *   node scripts/migrate.js down --to=<version>       Roll back every migration above a version (0 rolls back all)
+ *   node scripts/migrate.js status                    Show applied and pending migrations
+ */
+
+import dotenv from 'dotenv';
+import { pool } from '../services/db.js';
+import { applyMigrations, rollbackMigrations, getMigrationStatus } from '../migrations/index.js';
+
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/migrate.js <up|down|status> [--to=<version>] [--steps=<n>]';
+
+/**
+ * Read a non-negative integer --name=value option
+ * @returns {number|null} Value, or null if the option is absent
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function readIntegerOption(args, name) {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  if (!arg) return null;
+
+  const value = arg.slice(name.length + 3);
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`--${name} must be a non-negative integer (got "${value}")`);
+  }
+  return parseInt(value, 10);
+}
+
+function printStatus(status) {
+  if (status.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+
+  for (const migration of status) {
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.appliedAt ? ` (applied ${new Date(migration.appliedAt).toISOString()})` : '';
+    const marker = { applied: '✅', pending: '⏳', missing: '⚠️ ' }[migration.status];
+    console.log(`${marker} ${version}_${migration.name} - ${migration.status}${appliedAt}`);
+  }
+
+  const pending = status.filter(migration => migration.status === 'pending').length;
+  const missing = status.filter(migration => migration.status === 'missing').length;
+  console.log(`\n${pending} pending migration${pending === 1 ? '' : 's'}`);
+  if (missing > 0) {
+    console.log(`⚠️  ${missing} applied migration${missing === 1 ? ' has' : 's have'} no migration file`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  let client;
+
+  try {
+    client = await pool.connect();
+    if (command === 'up') {
+      const to = readIntegerOption(args, 'to');
+      const applied = await applyMigrations(client, { to: to ?? Infinity });
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`
+        : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const to = readIntegerOption(args, 'to');
+      const steps = readIntegerOption(args, 'steps') ?? 1;
+      const rolledBack = await rollbackMigrations(client, { steps, to });
+      console.log(rolledBack.length > 0
+        ? `✅ Rolled back ${rolledBack.length} migration${rolledBack.length === 1 ? '' : 's'}`
+        : '✅ Nothing to roll back');
+    } else if (command === 'status') {
+      printStatus(await getMigrationStatus(client));
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client?.release();
+    await pool.end();
+  }
+}
+
+main();
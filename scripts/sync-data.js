@@ -1,36 +1,49 @@
 /**
- * Sync script to fetch all characters and locations from Rick and Morty API
+ * Sync script to fetch all characters, locations and episodes from Rick and Morty API
  * and store them in PostgreSQL with vector embeddings
+ *
+ * Incremental: entities whose API data is unchanged since the last sync (same content hash
+ * in sync_state) are skipped, so vision and embeddings only run for new or changed entities.
+ * Resumable: progress is checkpointed in sync_checkpoints as entities finish; pass --resume
+ * to continue an interrupted sync. Pass --full to re-process every entity.
+ * Relations (character_episodes, character_origin, location_residents) are stored from the
+ * API data of every fetched entity, changed or not.
+ * Concurrent: entities are processed by a pool of SYNC_CONCURRENCY workers (or --concurrency=N)
+ * while the shared rate limiters keep vision, embedding and GraphQL calls under their limits.
  */
 
-import { GraphQLClient } from 'graphql-request';
-import pkg from 'pg';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
 import { GoogleGenAI } from '@google/genai';
-import { analyzeCharacterImage } from '../services/visionService.js';
+import { getCharacterAppearance } from '../services/appearanceService.js';
+import { pool } from '../services/db.js';
+import { getRateLimiter, getRateLimiterStats } from '../services/rateLimiter.js';
+import { requestGraphQL } from '../services/rickAndMortyRepository.js';
+import { runWorkerPool } from '../services/workerPool.js';
 
-const { Pool } = pkg;
 dotenv.config();
 
-// Initialize clients
-const graphqlClient = new GraphQLClient(
-  process.env.RICK_AND_MORTY_GRAPHQL_URL
-);
+// Re-run vision analysis even for characters whose stored appearance matches their image
+const REFRESH_APPEARANCE = process.argv.includes('--refresh-appearance');
+
+// Re-process every entity, even those whose content hash matches sync_state
+const FULL_SYNC = process.argv.includes('--full');
+
+// Continue after the checkpoint of an interrupted sync instead of starting from page 1
+const RESUME = process.argv.includes('--resume');
+
+// Number of entities processed at the same time
+const CONCURRENCY_ARG = process.argv.find(arg => arg.startsWith('--concurrency='));
+const CONCURRENCY = parseInt(CONCURRENCY_ARG?.split('=')[1] || process.env.SYNC_CONCURRENCY || '5', 10);
+
+// How often progress is reported when stdout is not a terminal
+const PROGRESS_INTERVAL_MS = 5000;
 
 // Initialize Google Gemini AI for embeddings
 const embeddingClient = new GoogleGenAI({
   apiKey: process.env.GOOGLE_API_KEY,
 });
 
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'rickandmorty',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || '',
-});
-
 // GraphQL queries
 const GET_ALL_CHARACTERS_QUERY = `
   query GetAllCharacters($page: Int!) {
@@ -95,12 +108,37 @@ const GET_ALL_LOCATIONS_QUERY = `
   }
 `;
 
+const GET_ALL_EPISODES_QUERY = `
+  query GetAllEpisodes($page: Int!) {
+    episodes(page: $page) {
+      info {
+        count
+        pages
+        next
+        prev
+      }
+      results {
+        id
+        name
+        episode
+        air_date
+        characters {
+          id
+          name
+          species
+        }
+      }
+    }
+  }
+`;
+
 /**
  * Generate embedding for text using Google Gemini
  * Note: Gemini embeddings are 3072 dimensions, but we truncate to 1536 for storage
  */
 async function generateEmbedding(text) {
   try {
+    await getRateLimiter('embeddings').acquire();
     const response = await embeddingClient.models.embedContent({
       model: "text-embedding-004",
       contents: text,
@@ -257,75 +295,202 @@ function createLocationText(location) {
 }
 
 /**
- * Fetch all characters with pagination
+ * Create text representation of episode for embedding
+ * Returns descriptive, natural language text optimized for RAG
+ * @param {Object} episode - Episode data
  */
-async function fetchAllCharacters() {
-  const allCharacters = [];
-  let page = 1;
-  let hasNextPage = true;
+function createEpisodeText(episode) {
+  const sections = [];
   
-  console.log('Fetching all characters...');
+  // Episode identity
+  sections.push(`"${episode.name}" is episode ${episode.episode} of Rick and Morty.`);
   
-  while (hasNextPage) {
-    try {
-      const data = await graphqlClient.request(GET_ALL_CHARACTERS_QUERY, { page });
-      const characters = data.characters?.results || [];
-      allCharacters.push(...characters);
-      
-      console.log(`  Fetched page ${page}: ${characters.length} characters (Total: ${allCharacters.length})`);
-      
-      hasNextPage = data.characters?.info?.next !== null;
-      page++;
-    } catch (error) {
-      console.error(`Error fetching characters page ${page}:`, error);
-      hasNextPage = false;
+  // Season and episode number from the code (e.g. S01E01)
+  const code = episode.episode?.match(/^S(\d+)E(\d+)$/);
+  if (code) {
+    sections.push(`It is episode ${parseInt(code[2])} of season ${parseInt(code[1])}.`);
+  }
+  
+  // Air date
+  if (episode.air_date) {
+    sections.push(`It first aired on ${episode.air_date}.`);
+  }
+  
+  // Cast with context
+  if (episode.characters && episode.characters.length > 0) {
+    const castCount = episode.characters.length;
+    const castList = episode.characters.slice(0, 10).map(c => c.name).join(', ');
+    const moreCast = castCount > 10 ? ` and ${castCount - 10} more` : '';
+    sections.push(`The episode features ${castCount} character${castCount > 1 ? 's' : ''} including: ${castList}${moreCast}.`);
+    
+    const species = [...new Set(episode.characters.map(c => c.species).filter(Boolean))];
+    if (species.length > 0) {
+      sections.push(`Species appearing in this episode: ${species.slice(0, 10).join(', ')}.`);
     }
+  } else {
+    sections.push(`This episode has no known cast.`);
   }
   
-  console.log(`✅ Fetched ${allCharacters.length} characters total\n`);
-  return allCharacters;
+  return sections.join(' ');
 }
 
 /**
- * Fetch all locations with pagination
+ * Fetch one page of an entity type
+ * @returns {Promise<{items: Array, hasNextPage: boolean, total: number|null}>}
  */
-async function fetchAllLocations() {
-  const allLocations = [];
-  let page = 1;
-  let hasNextPage = true;
-  
-  console.log('Fetching all locations...');
-  
-  while (hasNextPage) {
-    try {
-      const data = await graphqlClient.request(GET_ALL_LOCATIONS_QUERY, { page });
-      const locations = data.locations?.results || [];
-      allLocations.push(...locations);
-      
-      console.log(`  Fetched page ${page}: ${locations.length} locations (Total: ${allLocations.length})`);
-      
-      hasNextPage = data.locations?.info?.next !== null;
-      page++;
-    } catch (error) {
-      console.error(`Error fetching locations page ${page}:`, error);
-      hasNextPage = false;
-    }
+async function fetchPage(sync, page) {
+  const data = await requestGraphQL(sync.query, { page });
+  const connection = data[sync.field];
+  return {
+    items: connection?.results || [],
+    hasNextPage: Boolean(connection?.info?.next),
+    total: connection?.info?.count ?? null,
+  };
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Track progress of one entity type and report it with throughput and ETA
+ * On a terminal the progress line is rewritten in place; otherwise it is logged every PROGRESS_INTERVAL_MS
+ * @param {string} label - Entity label, e.g. "characters"
+ * @returns {{setTotal: Function, skipResumed: Function, complete: Function, report: Function, finish: Function}}
+ */
+function createProgress(label) {
+  const startedAt = Date.now();
+  const live = Boolean(process.stdout.isTTY);
+  let total = null;
+  let done = 0;
+  let handled = 0;
+  let lastReportAt = 0;
+
+  function line() {
+    const elapsedMs = Date.now() - startedAt;
+    const throughput = elapsedMs > 0 ? handled / (elapsedMs / 1000) : 0;
+    const count = total ? `${done}/${total} (${((done / total) * 100).toFixed(1)}%)` : `${done}`;
+    const remaining = total ? Math.max(0, total - done) : null;
+    const eta = remaining !== null && throughput > 0 ? formatDuration((remaining / throughput) * 1000) : '?';
+    return `  ${label}: ${count} · ${throughput.toFixed(2)}/s · elapsed ${formatDuration(elapsedMs)} · ETA ${eta}`;
   }
-  
-  console.log(`✅ Fetched ${allLocations.length} locations total\n`);
-  return allLocations;
+
+  return {
+    setTotal(count) {
+      if (typeof count === 'number') total = count;
+    },
+
+    // Entities finished by the interrupted sync count as done but not towards throughput
+    skipResumed(count) {
+      done += count;
+    },
+
+    complete() {
+      done++;
+      handled++;
+    },
+
+    report(force = false) {
+      const now = Date.now();
+      if (live) {
+        process.stdout.write(`\r${line()}\x1b[K`);
+      } else if (force || now - lastReportAt >= PROGRESS_INTERVAL_MS) {
+        console.log(line());
+        lastReportAt = now;
+      }
+    },
+
+    finish() {
+      if (live) {
+        process.stdout.write(`\r${line()}\x1b[K\n`);
+      } else {
+        console.log(line());
+      }
+    },
+  };
+}
+
+/**
+ * Hash the API data of an entity
+ * Entities whose hash matches sync_state have not changed since they were last synced
+ */
+function hashContent(item) {
+  return crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+}
+
+/**
+ * Load the stored content hashes of an entity type
+ * @returns {Promise<Map<number, string>>} Content hash by entity id
+ */
+async function loadContentHashes(client, entityType) {
+  const result = await client.query(
+    'SELECT entity_id, content_hash FROM sync_state WHERE entity_type = $1',
+    [entityType]
+  );
+  return new Map(result.rows.map(row => [row.entity_id, row.content_hash]));
+}
+
+/**
+ * Record the content hash of a synced entity
+ */
+async function recordContentHash(client, entityType, entityId, contentHash) {
+  await client.query(`
+    INSERT INTO sync_state (entity_type, entity_id, content_hash, synced_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (entity_type, entity_id) DO UPDATE SET
+      content_hash = EXCLUDED.content_hash,
+      synced_at = EXCLUDED.synced_at
+  `, [entityType, entityId, contentHash]);
+}
+
+/**
+ * Get the checkpoint of the last sync of an entity type
+ * @returns {Promise<Object|null>} Checkpoint row or null if the entity type was never synced
+ */
+async function getCheckpoint(client, entityType) {
+  const result = await client.query(
+    'SELECT status, last_page, last_entity_id FROM sync_checkpoints WHERE entity_type = $1',
+    [entityType]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store the checkpoint of an entity type
+ * @param {Object} checkpoint - Checkpoint
+ * @param {string} checkpoint.status - "running" or "completed"
+ * @param {number} checkpoint.lastPage - Last page whose entities were all handled
+ * @param {number} checkpoint.lastEntityId - Last entity handled
+ * @param {boolean} checkpoint.restart - Start a new sync (resets started_at)
+ */
+async function saveCheckpoint(client, entityType, { status, lastPage, lastEntityId, restart = false }) {
+  await client.query(`
+    INSERT INTO sync_checkpoints (entity_type, status, last_page, last_entity_id, started_at, updated_at)
+    VALUES ($1, $2, $3, $4, NOW(), NOW())
+    ON CONFLICT (entity_type) DO UPDATE SET
+      status = EXCLUDED.status,
+      last_page = EXCLUDED.last_page,
+      last_entity_id = EXCLUDED.last_entity_id,
+      started_at = CASE WHEN $5 THEN EXCLUDED.started_at ELSE sync_checkpoints.started_at END,
+      updated_at = EXCLUDED.updated_at
+  `, [entityType, status, lastPage, lastEntityId, restart]);
 }
 
 /**
  * Process character: analyze image and generate embedding
- * Returns data ready for database insertion
+ * The appearance is persisted in character_appearances and reused while the image is unchanged
+ * Returns data ready for database insertion; `complete` is false when image analysis failed
  */
 async function processCharacter(character) {
-  // Analyze character image to get appearance description
+  // Get stored appearance description or analyze character image
   let appearance = null;
   if (character.image) {
     try {
-      appearance = await analyzeCharacterImage(character.image, character.name);
+      appearance = await getCharacterAppearance(character, { refresh: REFRESH_APPEARANCE });
     } catch (error) {
       console.error(`Error analyzing image for character ${character.id} (${character.name}):`, error.message);
       // Continue without appearance if image analysis fails
@@ -346,6 +511,8 @@ async function processCharacter(character) {
     image: character.image,
     location_name: character.location?.name || null,
     embedding,
+    // Without its appearance the character is stored, but the next sync has to process it again
+    complete: !character.image || appearance !== null,
   };
 }
 
@@ -429,99 +596,325 @@ async function storeLocation(client, processedLocation) {
 }
 
 /**
- * Process items in parallel with concurrency limit
+ * Process episode: generate embedding
+ * Returns data ready for database insertion
  */
-async function processInBatches(items, processFn, batchSize = 10) {
-  const results = [];
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    const batchResults = await Promise.all(
-      batch.map(item => processFn(item).catch(error => {
-        console.error(`Error processing item:`, error.message);
-        return null;
-      }))
-    );
-    results.push(...batchResults.filter(r => r !== null));
+async function processEpisode(episode) {
+  const episodeText = createEpisodeText(episode);
+  const embedding = await generateEmbedding(episodeText);
+  
+  return {
+    id: parseInt(episode.id),
+    name: episode.name,
+    episode_code: episode.episode || null,
+    air_date: episode.air_date || null,
+    character_ids: (episode.characters || []).map(c => parseInt(c.id)),
+    embedding,
+  };
+}
+
+/**
+ * Store processed episode in database
+ */
+async function storeEpisode(client, processedEpisode) {
+  const embeddingValue = processedEpisode.embedding 
+    ? `'[${processedEpisode.embedding.join(',')}]'::vector` 
+    : 'NULL';
+  
+  const query = `
+    INSERT INTO entities (
+      id, entity_type, name, episode_code, air_date, character_ids, embedding
+    ) VALUES ($1, 'episode', $2, $3, $4, $5, ${embeddingValue})
+    ON CONFLICT (id, entity_type) DO UPDATE SET
+      name = EXCLUDED.name,
+      episode_code = EXCLUDED.episode_code,
+      air_date = EXCLUDED.air_date,
+      character_ids = EXCLUDED.character_ids,
+      embedding = EXCLUDED.embedding
+  `;
+  
+  await client.query(query, [
+    processedEpisode.id,
+    processedEpisode.name,
+    processedEpisode.episode_code,
+    processedEpisode.air_date,
+    processedEpisode.character_ids,
+  ]);
+}
+
+/**
+ * Store a character's episode appearances and origin
+ * Rows for episodes the character no longer appears in are removed in the same statement
+ */
+async function storeCharacterRelations(client, character) {
+  const characterId = parseInt(character.id);
+  const episodeIds = (character.episode || []).map(episode => parseInt(episode.id));
+  
+  await client.query(`
+    WITH removed AS (
+      DELETE FROM character_episodes
+      WHERE character_id = $1 AND NOT (episode_id = ANY($2::int[]))
+    )
+    INSERT INTO character_episodes (character_id, episode_id)
+    SELECT $1, unnest($2::int[])
+    ON CONFLICT DO NOTHING
+  `, [characterId, episodeIds]);
+  
+  if (character.origin?.name) {
+    await client.query(`
+      INSERT INTO character_origin (character_id, location_id, origin_name)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (character_id) DO UPDATE SET
+        location_id = EXCLUDED.location_id,
+        origin_name = EXCLUDED.origin_name
+    `, [characterId, character.origin.id ? parseInt(character.origin.id) : null, character.origin.name]);
+  } else {
+    await client.query('DELETE FROM character_origin WHERE character_id = $1', [characterId]);
   }
-  return results;
 }
 
 /**
- * Main sync function
+ * Store a location's residents
  */
-async function syncData() {
-  const client = await pool.connect();
+async function storeLocationRelations(client, location) {
+  const residentIds = (location.residents || []).map(resident => parseInt(resident.id));
+  
+  await client.query(`
+    WITH removed AS (
+      DELETE FROM location_residents
+      WHERE location_id = $1 AND NOT (character_id = ANY($2::int[]))
+    )
+    INSERT INTO location_residents (location_id, character_id)
+    SELECT $1, unnest($2::int[])
+    ON CONFLICT DO NOTHING
+  `, [parseInt(location.id), residentIds]);
+}
+
+/**
+ * Store an episode's cast
+ */
+async function storeEpisodeRelations(client, episode) {
+  const characterIds = (episode.characters || []).map(character => parseInt(character.id));
+  
+  await client.query(`
+    WITH removed AS (
+      DELETE FROM character_episodes
+      WHERE episode_id = $1 AND NOT (character_id = ANY($2::int[]))
+    )
+    INSERT INTO character_episodes (character_id, episode_id)
+    SELECT unnest($2::int[]), $1
+    ON CONFLICT DO NOTHING
+  `, [parseInt(episode.id), characterIds]);
+}
+
+/**
+ * Sync settings per entity type, in sync order
+ */
+const ENTITY_SYNCS = [
+  {
+    entityType: 'character',
+    label: 'characters',
+    query: GET_ALL_CHARACTERS_QUERY,
+    field: 'characters',
+    process: processCharacter,
+    store: storeCharacter,
+    storeRelations: storeCharacterRelations,
+    // Re-analyzing images means re-processing characters whose data did not change
+    force: REFRESH_APPEARANCE,
+  },
+  {
+    entityType: 'location',
+    label: 'locations',
+    query: GET_ALL_LOCATIONS_QUERY,
+    field: 'locations',
+    process: processLocation,
+    store: storeLocation,
+    storeRelations: storeLocationRelations,
+  },
+  {
+    entityType: 'episode',
+    label: 'episodes',
+    query: GET_ALL_EPISODES_QUERY,
+    field: 'episodes',
+    process: processEpisode,
+    store: storeEpisode,
+    storeRelations: storeEpisodeRelations,
+  },
+];
+
+/**
+ * Process and store one entity unless its content hash is unchanged
+ * Relations are stored either way: they come straight from the API data and cost no API calls,
+ * so databases synced before the relationship tables existed get them without a full resync.
+ * Writes go through the pool rather than a shared client, so workers' statements run in parallel
+ * and no connection is held while the entity is processed
+ * @returns {Promise<string>} "stored", "skipped" or "failed"
+ */
+async function syncEntity(sync, item, knownHashes) {
+  const contentHash = hashContent(item);
   
   try {
-    console.log('🚀 Starting data sync...\n');
+    await sync.storeRelations(pool, item);
     
-    // Fetch all data
-    const characters = await fetchAllCharacters();
-    const locations = await fetchAllLocations();
+    if (knownHashes.get(parseInt(item.id)) === contentHash) {
+      return 'skipped';
+    }
     
-    // Process and store characters sequentially to avoid rate limits
-    console.log(`\n📝 Processing ${characters.length} characters...`);
-    console.log('  Processing sequentially to avoid rate limits (this may take a while due to image analysis)...');
+    const processed = await sync.process(item);
+    await sync.store(pool, processed);
     
-    let stored = 0;
-    for (const character of characters) {
-      try {
-        // Process character (image analysis + embedding) sequentially
-        const processedCharacter = await processCharacter(character);
-        
-        // Store in database
-        await storeCharacter(client, processedCharacter);
-        
-        stored++;
-        if (stored % 10 === 0 || stored === characters.length) {
-          console.log(`  Processed and stored ${stored}/${characters.length} characters...`);
-        }
-      } catch (error) {
-        console.error(`Error processing character ${character.id} (${character.name}):`, error.message);
-      }
+    // Entities stored without an embedding (or a character without its appearance) keep no hash,
+    // so the next sync retries them
+    if (processed.embedding && processed.complete !== false) {
+      await recordContentHash(pool, sync.entityType, processed.id, contentHash);
+    }
+    return 'stored';
+  } catch (error) {
+    console.error(`Error syncing ${sync.entityType} ${item.id} (${item.name}):`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Sync one entity type page by page with a pool of concurrent workers
+ * The checkpoint only advances past an entity once every entity before it on the page has
+ * finished, so --resume never skips an entity that was still in flight when the sync died.
+ * It stops in front of the first failed entity, so --resume retries it (entities synced after it
+ * have their content hash recorded and are skipped cheaply).
+ * The API returns entities in ascending id order, so entities up to the checkpoint's last entity are done.
+ * @returns {Promise<Object>} Counts of stored, skipped and failed entities and whether every entity was synced
+ */
+async function syncEntityType(client, sync) {
+  const stats = { stored: 0, skipped: 0, failed: 0, completed: false };
+  
+  const checkpoint = RESUME ? await getCheckpoint(client, sync.entityType) : null;
+  if (checkpoint?.status === 'completed') {
+    console.log(`⏭️  All ${sync.label} were synced by the previous run, skipping\n`);
+    stats.completed = true;
+    return stats;
+  }
+  
+  let page = checkpoint ? checkpoint.last_page + 1 : 1;
+  let lastEntityId = checkpoint ? checkpoint.last_entity_id : 0;
+  
+  if (checkpoint) {
+    console.log(`📝 Resuming ${sync.label} at page ${page} (after ${sync.entityType} ${lastEntityId}) with ${CONCURRENCY} workers...`);
+  } else {
+    console.log(`📝 Syncing ${sync.label} with ${CONCURRENCY} workers...`);
+    await saveCheckpoint(client, sync.entityType, { status: 'running', lastPage: 0, lastEntityId: 0, restart: true });
+  }
+  
+  const knownHashes = FULL_SYNC || sync.force ? new Map() : await loadContentHashes(client, sync.entityType);
+  const progress = createProgress(sync.label);
+  
+  // Set at the first failed entity; the checkpoint stays in front of it for the rest of the sync
+  let checkpointBlocked = false;
+  
+  let hasNextPage = true;
+  while (hasNextPage) {
+    let items;
+    let total;
+    try {
+      ({ items, hasNextPage, total } = await fetchPage(sync, page));
+    } catch (error) {
+      progress.finish();
+      console.error(`Error fetching ${sync.label} page ${page}:`, error.message);
+      return stats;
     }
-    console.log(`✅ Stored ${stored} characters\n`);
+    progress.setTotal(total);
+    
+    const pending = items.filter(item => parseInt(item.id) > lastEntityId);
+    progress.skipResumed(items.length - pending.length);
     
-    // Process and store locations in parallel batches
-    console.log(`📝 Processing ${locations.length} locations...`);
+    // Results of finished entities; the checkpoint advances over the prefix of synced entities
+    const finished = new Array(pending.length).fill(null);
+    let prefix = 0;
     
-    // Process locations in batches (higher concurrency since no image analysis)
-    const processedLocations = await processInBatches(
-      locations,
-      processLocation,
-      15 // Higher batch size for locations
-    );
+    await runWorkerPool(pending, item => syncEntity(sync, item, knownHashes), {
+      concurrency: CONCURRENCY,
+      onResult: async (result, item, index) => {
+        stats[result]++;
+        progress.complete();
+        progress.report();
+        
+        finished[index] = result;
+        const previousPrefix = prefix;
+        while (!checkpointBlocked && prefix < pending.length && finished[prefix]) {
+          if (finished[prefix] === 'failed') {
+            checkpointBlocked = true;
+            break;
+          }
+          lastEntityId = Math.max(lastEntityId, parseInt(pending[prefix].id));
+          prefix++;
+        }
+        if (prefix > previousPrefix) {
+          await saveCheckpoint(client, sync.entityType, { status: 'running', lastPage: page - 1, lastEntityId });
+        }
+      },
+    });
     
-    console.log(`  Processed ${processedLocations.length} locations, storing in database...`);
+    if (!checkpointBlocked) {
+      await saveCheckpoint(client, sync.entityType, {
+        status: hasNextPage ? 'running' : 'completed',
+        lastPage: page,
+        lastEntityId,
+      });
+    }
+    progress.report();
+    page++;
+  }
+  
+  progress.finish();
+  stats.completed = !checkpointBlocked;
+  return stats;
+}
+
+/**
+ * Main sync function
+ */
+async function syncData() {
+  const client = await pool.connect();
+  
+  try {
+    console.log(RESUME ? '🚀 Resuming data sync...\n' : '🚀 Starting data sync...\n');
+    if (FULL_SYNC) {
+      console.log('  --full: re-processing every entity, including unchanged ones\n');
+    }
     
-    // Store locations in batches
-    stored = 0;
-    const storeBatchSize = 20;
-    for (let i = 0; i < processedLocations.length; i += storeBatchSize) {
-      const batch = processedLocations.slice(i, i + storeBatchSize);
-      await Promise.all(
-        batch.map(pl => storeLocation(client, pl).catch(error => {
-          console.error(`Error storing location ${pl.id} (${pl.name}):`, error.message);
-        }))
-      );
-      stored += batch.length;
-      if (stored % 50 === 0 || stored === processedLocations.length) {
-        console.log(`  Stored ${stored}/${processedLocations.length} locations...`);
+    const incomplete = [];
+    for (const sync of ENTITY_SYNCS) {
+      const stats = await syncEntityType(client, sync);
+      if (stats.completed) {
+        console.log(`✅ Synced ${sync.label}: ${stats.stored} stored, ${stats.skipped} unchanged, ${stats.failed} failed\n`);
+      } else {
+        console.log(`⚠️  Incomplete sync of ${sync.label}: ${stats.stored} stored, ${stats.skipped} unchanged, ${stats.failed} failed\n`);
+        incomplete.push(sync.label);
       }
     }
-    console.log(`✅ Stored ${stored} locations\n`);
     
-    console.log('🎉 Data sync complete!');
+    for (const limiter of getRateLimiterStats()) {
+      const rate = limiter.requestsPerMinute ? `${limiter.requestsPerMinute}/min` : 'unlimited';
+      console.log(`  Rate limiter ${limiter.name} (${rate}): ${limiter.acquired} requests, waited ${formatDuration(limiter.waitedMs)}`);
+    }
+    
+    if (incomplete.length > 0) {
+      console.log(`⚠️  Sync incomplete for ${incomplete.join(', ')}. Run again with --resume to retry failed entities and continue.`);
+    } else {
+      console.log('🎉 Data sync complete!');
+    }
     
     // Print summary
     const charCount = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'character'");
     const locCount = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'location'");
     const charWithEmbedding = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'character' AND embedding IS NOT NULL");
     const locWithEmbedding = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'location' AND embedding IS NOT NULL");
+    const epCount = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'episode'");
+    const epWithEmbedding = await client.query("SELECT COUNT(*) FROM entities WHERE entity_type = 'episode' AND embedding IS NOT NULL");
     
     console.log('\n📊 Database Summary:');
     console.log(`  Characters: ${charCount.rows[0].count} (${charWithEmbedding.rows[0].count} with embeddings)`);
     console.log(`  Locations: ${locCount.rows[0].count} (${locWithEmbedding.rows[0].count} with embeddings)`);
+    console.log(`  Episodes: ${epCount.rows[0].count} (${epWithEmbedding.rows[0].count} with embeddings)`);
     
   } catch (error) {
     console.error('❌ Error during sync:', error);
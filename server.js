@@ -1,24 +1,184 @@
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { generateLocationDescription } from './services/descriptionService.js';
-import { generateCharacterDescription } from './services/characterDescriptionService.js';
+import { buildLocationContext, generateLocationDescription } from './services/descriptionService.js';
+import { buildCharacterContext, generateCharacterDescription } from './services/characterDescriptionService.js';
 import { generateCharacterInsights } from './services/characterInsightsService.js';
 import { generateCharacterCompatibility } from './services/characterCompatibilityService.js';
+import { generateEpisodeDescription } from './services/episodeDescriptionService.js';
 import { evaluateLocationDescription } from './services/locationEvaluationService.js';
 import { evaluateCharacterDescription } from './services/characterEvaluationService.js';
-import { semanticSearch } from './services/searchService.js';
+import { getEpisodeCharacters, getLocationResidents, isLocationKey } from './services/relationshipService.js';
+import { semanticSearch, findSimilarEntities, resolveSearchWeights, normalizeSearchFilters } from './services/searchService.js';
+import { decodeSearchCursor } from './services/searchCursor.js';
+import { wantsEventStream, openEventStream } from './services/eventStream.js';
+import { normalizeBatchItems, generateBatchDescriptions } from './services/batchDescriptionService.js';
+import { normalizeAnalyticsQuery, getEvaluationAnalytics } from './services/evaluationHistoryService.js';
+import { validateJobRequest, isJobId, createJob, getJob, startJobWorker } from './services/jobService.js';
+import { initLLMConfig, getActiveLLMConfig } from './config/configLoader.js';
 
 console.log('Loading environment variables...');
 dotenv.config();
 console.log('Environment loaded');
 
+// Load and validate LLM config once at startup, reloading it when the file changes
+try {
+  initLLMConfig({ watch: true });
+  console.log('LLM config validated');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Most results a search or similar-entities request can ask for
+const MAX_RESULTS_LIMIT = 50;
+
 app.use(cors());
 app.use(express.json());
 
+/**
+ * Check whether the client asked to bypass the generation cache with `?refresh=true`
+ * @param {Object} req - Express request
+ * @returns {boolean} True if cached generations should be ignored
+ */
+function isRefreshRequested(req) {
+  const refreshParam = String(req.query.refresh || '').toLowerCase();
+  return refreshParam === 'true' || refreshParam === '1';
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_TOKEN>` on admin endpoints
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdminToken(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(process.env.ADMIN_TOKEN))) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+  next();
+}
+
+/**
+ * Get the client id used for sticky prompt/model variant assignment
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Value of the X-Client-Id header
+ */
+function getClientId(req) {
+  return req.get('X-Client-Id') || undefined;
+}
+
+/**
+ * Run a description generator and stream its progress over SSE
+ * Emits `progress` and `delta` events, then `done` with the full description (or `error`)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} generate - Called with { onProgress, onDelta }, resolves to { description, cached, model, variant }
+ */
+async function streamDescription(req, res, generate) {
+  const stream = openEventStream(req, res);
+
+  try {
+    const result = await generate({
+      onProgress: (stage, message) => stream.send('progress', { stage, message }),
+      onDelta: (text) => stream.send('delta', { text }),
+    });
+    stream.send('done', { description: result.description, cached: result.cached, model: result.model, variant: result.variant });
+  } catch (error) {
+    console.error('Error streaming description:', error);
+    stream.send('error', {
+      error: 'Failed to generate description',
+      message: error.message
+    });
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Create the handler for GET /api/<entityType>/:id/similar
+ * Query parameters: limit, maxDistance and any search filter, with comma-separated
+ * (or repeated) values, e.g. `?limit=10&status=Dead,unknown`
+ * @param {string} entityType - "character" or "location"
+ * @returns {Function} Express handler
+ */
+function similarEntitiesHandler(entityType) {
+  return async (req, res) => {
+    const entityId = req.params.id;
+    const { limit, maxDistance, ...filterParams } = req.query;
+
+    if (!/^\d+$/.test(entityId)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: `${entityType} id must be a positive integer`
+      });
+    }
+
+    let filters;
+    try {
+      filters = normalizeSearchFilters(Object.fromEntries(
+        Object.entries(filterParams).map(([name, value]) => [name, [].concat(value).flatMap(item => String(item).split(','))])
+      ));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: error.message
+      });
+    }
+
+    if (limit !== undefined && !(/^\d+$/.test(String(limit)) && parseInt(limit, 10) > 0)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const distance = maxDistance === undefined ? null : Number(maxDistance);
+    if (distance !== null && (!Number.isFinite(distance) || distance < 0 || distance > 2)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'maxDistance must be a number between 0 and 2'
+      });
+    }
+
+    try {
+      const similarLimit = limit === undefined ? 6 : Math.min(parseInt(limit, 10), MAX_RESULTS_LIMIT);
+      const result = await findSimilarEntities(entityType, entityId, similarLimit, { filters, maxDistance: distance });
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `${entityType} ${entityId} has not been synced`
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      if (error.code === 'NO_EMBEDDING') {
+        return res.status(404).json({
+          error: 'Not found',
+          message: error.message
+        });
+      }
+      console.error(`Error finding entities similar to ${entityType} ${entityId}:`, error);
+      res.status(500).json({
+        error: 'Failed to find similar entities',
+        message: error.message
+      });
+    }
+  };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -29,10 +189,20 @@ app.post('/api/location/:id/description', async (req, res) => {
   try {
     const locationId = req.params.id;
 
-    const result = await generateLocationDescription(locationId);
+    const refresh = isRefreshRequested(req);
+    const clientId = getClientId(req);
+
+    if (wantsEventStream(req)) {
+      return streamDescription(req, res, (options) => generateLocationDescription(locationId, { ...options, refresh, clientId }));
+    }
+
+    const result = await generateLocationDescription(locationId, { refresh, clientId });
 
     res.json({ 
-      description: result.description
+      description: result.description,
+      cached: result.cached,
+      model: result.model,
+      variant: result.variant
     });
   } catch (error) {
     console.error('Error generating description:', error);
@@ -47,7 +217,7 @@ app.post('/api/location/:id/description', async (req, res) => {
 app.post('/api/location/:id/evaluate', async (req, res) => {
   try {
     const locationId = req.params.id;
-    const { description } = req.body;
+    const { description, model, variant } = req.body;
 
     if (!description) {
       return res.status(400).json({
@@ -56,18 +226,27 @@ app.post('/api/location/:id/evaluate', async (req, res) => {
       });
     }
 
-    // Generate description to get locationData and promptData
-    const result = await generateLocationDescription(locationId);
+    if ((model !== undefined && typeof model !== 'string') || (variant !== undefined && typeof variant !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'model and variant must be strings'
+      });
+    }
+
+    // Build the context the description is evaluated against (no generation)
+    const { locationData, promptData } = await buildLocationContext(locationId);
     
     // Evaluate the provided description using LLM
     const evaluation = await evaluateLocationDescription(
       description,
-      result.locationData,
-      result.promptData
+      locationData,
+      promptData,
+      { entityId: locationId, model, variant }
     );
 
     res.json({ 
       evaluation,
+      context: { locationData, promptData },
       cached: false 
     });
   } catch (error) {
@@ -84,11 +263,21 @@ app.post('/api/character/:id/description', async (req, res) => {
   try {
     const characterId = req.params.id;
 
-    // Generate description using vision + LLM (no database caching - frontend handles caching)
-    const result = await generateCharacterDescription(characterId);
+    const refresh = isRefreshRequested(req);
+    const clientId = getClientId(req);
+
+    if (wantsEventStream(req)) {
+      return streamDescription(req, res, (options) => generateCharacterDescription(characterId, { ...options, refresh, clientId }));
+    }
+
+    // Generate description using vision + LLM (cached in the generations table)
+    const result = await generateCharacterDescription(characterId, { refresh, clientId });
 
     res.json({ 
-      description: result.description
+      description: result.description,
+      cached: result.cached,
+      model: result.model,
+      variant: result.variant
     });
   } catch (error) {
     console.error('Error generating character description:', error);
@@ -103,7 +292,7 @@ app.post('/api/character/:id/description', async (req, res) => {
 app.post('/api/character/:id/evaluate', async (req, res) => {
   try {
     const characterId = req.params.id;
-    const { description } = req.body;
+    const { description, model, variant } = req.body;
 
     if (!description) {
       return res.status(400).json({
@@ -112,19 +301,28 @@ app.post('/api/character/:id/evaluate', async (req, res) => {
       });
     }
 
-    // Generate description to get characterData, locationData, and promptData
-    const result = await generateCharacterDescription(characterId, false);
+    if ((model !== undefined && typeof model !== 'string') || (variant !== undefined && typeof variant !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'model and variant must be strings'
+      });
+    }
+
+    // Build the context the description is evaluated against (no generation)
+    const { characterData, locationData, promptData } = await buildCharacterContext(characterId);
     
     // Evaluate the provided description using LLM
     const evaluation = await evaluateCharacterDescription(
       description,
-      result.characterData,
-      result.locationData,
-      result.promptData
+      characterData,
+      locationData,
+      promptData,
+      { entityId: characterId, model, variant }
     );
 
     res.json({ 
-      evaluation
+      evaluation,
+      context: { characterData, locationData, promptData }
     });
   } catch (error) {
     console.error('Error evaluating character description:', error);
@@ -141,11 +339,16 @@ app.post('/api/character/:id/insights', async (req, res) => {
     const characterId = req.params.id;
 
     // Generate 5 insight suggestions using vision + LLM
-    const insights = await generateCharacterInsights(characterId);
+    const { insights, cached, model, variant } = await generateCharacterInsights(characterId, {
+      refresh: isRefreshRequested(req),
+      clientId: getClientId(req),
+    });
 
     res.json({ 
       insights,
-      cached: false 
+      cached,
+      model,
+      variant
     });
   } catch (error) {
     console.error('Error generating character insights:', error);
@@ -156,6 +359,109 @@ app.post('/api/character/:id/insights', async (req, res) => {
   }
 });
 
+// Characters similar to a character, from stored embeddings
+app.get('/api/character/:id/similar', similarEntitiesHandler('character'));
+
+// Generate episode description endpoint
+app.post('/api/episode/:id/description', async (req, res) => {
+  try {
+    const episodeId = req.params.id;
+
+    const refresh = isRefreshRequested(req);
+    const clientId = getClientId(req);
+
+    if (wantsEventStream(req)) {
+      return streamDescription(req, res, (options) => generateEpisodeDescription(episodeId, { ...options, refresh, clientId }));
+    }
+
+    const result = await generateEpisodeDescription(episodeId, { refresh, clientId });
+
+    res.json({ 
+      description: result.description,
+      cached: result.cached,
+      model: result.model,
+      variant: result.variant
+    });
+  } catch (error) {
+    console.error('Error generating episode description:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate episode description',
+      message: error.message 
+    });
+  }
+});
+
+// Locations similar to a location, from stored embeddings
+app.get('/api/location/:id/similar', similarEntitiesHandler('location'));
+
+// Characters in an episode, from the synced relationship tables
+app.get('/api/episode/:id/characters', async (req, res) => {
+  const episode = req.params.id;
+
+  if (!/^\d+$/.test(episode) && !/^S\d{2}E\d{2}$/i.test(episode)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'Episode must be an id or an episode code like "S02E03"'
+    });
+  }
+
+  try {
+    const result = await getEpisodeCharacters(episode);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Episode ${episode} has not been synced`
+      });
+    }
+
+    res.json({
+      ...result,
+      count: result.characters.length
+    });
+  } catch (error) {
+    console.error('Error loading episode characters:', error);
+    res.status(500).json({
+      error: 'Failed to load episode characters',
+      message: error.message
+    });
+  }
+});
+
+// Residents of a location, from the synced relationship tables
+app.get('/api/location/:id/residents', async (req, res) => {
+  const location = req.params.id;
+
+  if (!isLocationKey(location)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'Location must be an id or a location name (up to 100 characters, without surrounding whitespace)'
+    });
+  }
+
+  try {
+    const result = await getLocationResidents(location);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Location ${location} has not been synced`
+      });
+    }
+
+    res.json({
+      ...result,
+      count: result.residents.length
+    });
+  } catch (error) {
+    console.error('Error loading location residents:', error);
+    res.status(500).json({
+      error: 'Failed to load location residents',
+      message: error.message
+    });
+  }
+});
+
 // Generate character compatibility/conflict analysis endpoint
 app.post('/api/compatibility', async (req, res) => {
   try {
@@ -169,11 +475,16 @@ app.post('/api/compatibility', async (req, res) => {
     }
 
     // Generate compatibility analysis using vision + LLM
-    const analysis = await generateCharacterCompatibility(character1Id, character2Id, locationId);
+    const { analysis, cached, model, variant } = await generateCharacterCompatibility(character1Id, character2Id, locationId, {
+      refresh: isRefreshRequested(req),
+      clientId: getClientId(req),
+    });
 
     res.json({ 
       analysis,
-      cached: false 
+      cached,
+      model,
+      variant
     });
   } catch (error) {
     console.error('Error generating compatibility analysis:', error);
@@ -184,10 +495,141 @@ app.post('/api/compatibility', async (req, res) => {
   }
 });
 
+// Batch description generation endpoint
+app.post('/api/batch/descriptions', async (req, res) => {
+  try {
+    let items;
+    try {
+      items = normalizeBatchItems(req.body.items);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: error.message
+      });
+    }
+
+    const result = await generateBatchDescriptions(items, {
+      refresh: isRefreshRequested(req),
+      clientId: getClientId(req),
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error generating batch descriptions:', error);
+    res.status(500).json({
+      error: 'Failed to generate batch descriptions',
+      message: error.message
+    });
+  }
+});
+
+// Queue an asynchronous generation job
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const { type, params = {} } = req.body;
+
+    if (!type) {
+      return res.status(400).json({
+        error: 'Missing required parameter',
+        message: 'type is required'
+      });
+    }
+
+    let jobParams;
+    try {
+      jobParams = validateJobRequest(type, params);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: error.message
+      });
+    }
+
+    const job = await createJob(type, jobParams);
+
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({
+      error: 'Failed to create job',
+      message: error.message
+    });
+  }
+});
+
+// Job status, progress and result
+app.get('/api/jobs/:id', async (req, res) => {
+  const jobId = req.params.id;
+
+  if (!isJobId(jobId)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      message: 'Job id must be a UUID'
+    });
+  }
+
+  try {
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Job ${jobId} does not exist`
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error loading job:', error);
+    res.status(500).json({
+      error: 'Failed to load job',
+      message: error.message
+    });
+  }
+});
+
+// Evaluation analytics endpoint
+app.get('/api/analytics/evaluations', async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = normalizeAnalyticsQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: error.message
+      });
+    }
+
+    res.json(await getEvaluationAnalytics(filters));
+  } catch (error) {
+    console.error('Error loading evaluation analytics:', error);
+    res.status(500).json({
+      error: 'Failed to load evaluation analytics',
+      message: error.message
+    });
+  }
+});
+
+// Active LLM config endpoint, only mounted when an admin token is configured
+if (process.env.ADMIN_TOKEN) {
+  app.get('/api/admin/config', requireAdminToken, (req, res) => {
+    try {
+      res.json(getActiveLLMConfig());
+    } catch (error) {
+      console.error('Error reading LLM config:', error);
+      res.status(500).json({
+        error: 'Failed to read LLM config',
+        message: error.message
+      });
+    }
+  });
+}
+
 // Semantic search endpoint
 app.post('/api/search', async (req, res) => {
   try {
-    const { query, limit } = req.body;
+    const { query, limit, weights, filters, maxDistance, minScore, cursor } = req.body;
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
       return res.status(400).json({
@@ -196,8 +638,41 @@ app.post('/api/search', async (req, res) => {
       });
     }
 
-    const searchLimit = limit && Number.isInteger(limit) && limit > 0 ? limit : 6;
-    const results = await semanticSearch(query.trim(), searchLimit);
+    let searchWeights;
+    let searchFilters;
+    try {
+      searchWeights = resolveSearchWeights(weights);
+      searchFilters = normalizeSearchFilters(filters);
+      decodeSearchCursor(cursor);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: error.message
+      });
+    }
+
+    if (maxDistance !== undefined && (typeof maxDistance !== 'number' || maxDistance < 0 || maxDistance > 2)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'maxDistance must be a number between 0 and 2'
+      });
+    }
+
+    if (minScore !== undefined && (typeof minScore !== 'number' || minScore < 0)) {
+      return res.status(400).json({
+        error: 'Invalid parameter',
+        message: 'minScore must be a non-negative number'
+      });
+    }
+
+    const searchLimit = limit && Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_RESULTS_LIMIT) : 6;
+    const results = await semanticSearch(query.trim(), searchLimit, {
+      weights: searchWeights,
+      filters: searchFilters,
+      maxDistance,
+      minScore,
+      cursor,
+    });
 
     res.json({ 
       ...results 
@@ -216,5 +691,9 @@ console.log(`Starting server on port ${PORT}...`);
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`✅ Health check: http://localhost:${PORT}/health`);
+
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
 });
 
@@ -0,0 +1,168 @@
+/**
+ * Character appearance store
+ * Persists vision analysis results per character in `character_appearances` so runtime
+ * services and the sync script only call the vision model on a miss or when the image changed
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { pool } from './db.js';
+import { analyzeCharacterImage } from './visionService.js';
+
+dotenv.config();
+
+// In-flight analyses, so concurrent requests for the same character share one vision call
+const pendingAnalyses = new Map();
+
+/**
+ * Download an image and hash its bytes
+ * @param {string} imageUrl - Image URL
+ * @returns {Promise<string|null>} sha256 hex digest, or null if the image could not be fetched
+ */
+export async function hashImage(imageUrl) {
+  try {
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  } catch (error) {
+    console.warn(`Could not hash image ${imageUrl}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored appearance for a character
+ * @param {number|string} characterId - Character id
+ * @returns {Promise<Object|null>} Stored row or null (also null if the database is unavailable)
+ */
+export async function getStoredAppearance(characterId) {
+  try {
+    const result = await pool.query(`
+      SELECT character_id, appearance, image_url, image_hash, vision_model, updated_at
+      FROM character_appearances
+      WHERE character_id = $1
+    `, [parseInt(characterId)]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.warn(`Appearance lookup failed for character ${characterId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored appearances for several characters in one query
+ * @param {Array<number|string>} characterIds - Character ids
+ * @returns {Promise<Map<number, Object>>} Stored rows keyed by character id (empty if the database is unavailable)
+ */
+export async function getStoredAppearances(characterIds) {
+  try {
+    const result = await pool.query(`
+      SELECT character_id, appearance, image_url, image_hash, vision_model, updated_at
+      FROM character_appearances
+      WHERE character_id = ANY($1::int[])
+    `, [characterIds.map(id => parseInt(id))]);
+
+    return new Map(result.rows.map(row => [row.character_id, row]));
+  } catch (error) {
+    console.warn('Appearance lookup failed for characters:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Store (or replace) the appearance for a character
+ * @param {Object} appearance - Appearance record
+ * @param {number|string} appearance.characterId - Character id
+ * @param {string} appearance.appearance - Visual appearance description
+ * @param {string} appearance.imageUrl - Source image URL
+ * @param {string|null} appearance.imageHash - sha256 of the source image bytes
+ * @param {string} appearance.visionModel - Vision model that produced the description
+ * @returns {Promise<void>}
+ */
+export async function storeAppearance({ characterId, appearance, imageUrl, imageHash, visionModel }) {
+  try {
+    await pool.query(`
+      INSERT INTO character_appearances (
+        character_id, appearance, image_url, image_hash, vision_model, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (character_id) DO UPDATE SET
+        appearance = EXCLUDED.appearance,
+        image_url = EXCLUDED.image_url,
+        image_hash = EXCLUDED.image_hash,
+        vision_model = EXCLUDED.vision_model,
+        updated_at = EXCLUDED.updated_at
+    `, [parseInt(characterId), appearance, imageUrl, imageHash, visionModel]);
+  } catch (error) {
+    console.warn(`Appearance store failed for character ${characterId}:`, error.message);
+  }
+}
+
+/**
+ * Check whether a stored appearance still matches the character image
+ * The URL must match; with APPEARANCE_VERIFY_IMAGE_HASH=true the image bytes are
+ * downloaded and compared against the stored hash as well
+ */
+async function isStoredAppearanceCurrent(stored, imageUrl) {
+  if (!stored || stored.image_url !== imageUrl) {
+    return false;
+  }
+  if (process.env.APPEARANCE_VERIFY_IMAGE_HASH !== 'true' || !stored.image_hash) {
+    return true;
+  }
+  const currentHash = await hashImage(imageUrl);
+  return currentHash === null || currentHash === stored.image_hash;
+}
+
+/**
+ * Run vision analysis for a character and persist the result
+ */
+async function analyzeAndStore(character) {
+  const [analysis, imageHash] = await Promise.all([
+    analyzeCharacterImage(character.image, character.name),
+    hashImage(character.image),
+  ]);
+
+  await storeAppearance({
+    characterId: character.id,
+    appearance: analysis.description,
+    imageUrl: character.image,
+    imageHash,
+    visionModel: analysis.model,
+  });
+
+  return analysis.description;
+}
+
+/**
+ * Get a character's visual appearance, calling the vision model only on a miss
+ * or when the character image changed
+ * @param {Object} character - Character with id, name and image
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.refresh - Re-run vision analysis even if an appearance is stored
+ * @param {Object|null} options.stored - Stored appearance row already loaded (null if there is none), skips the lookup
+ * @returns {Promise<string>} Visual appearance description
+ */
+export async function getCharacterAppearance(character, options = {}) {
+  const { refresh = false } = options;
+
+  if (!refresh) {
+    const stored = options.stored !== undefined ? options.stored : await getStoredAppearance(character.id);
+    if (await isStoredAppearanceCurrent(stored, character.image)) {
+      console.log(`Using stored appearance for ${character.name} (${stored.vision_model})`);
+      return stored.appearance;
+    }
+  }
+
+  const pendingKey = String(character.id);
+  if (!pendingAnalyses.has(pendingKey)) {
+    const analysis = analyzeAndStore(character).finally(() => {
+      pendingAnalyses.delete(pendingKey);
+    });
+    pendingAnalyses.set(pendingKey, analysis);
+  }
+  return pendingAnalyses.get(pendingKey);
+}
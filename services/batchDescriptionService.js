@@ -0,0 +1,135 @@
+/**
+ * Batch description generation
+ * Generates descriptions for many characters and locations in one request. Entity data and
+ * stored character appearances are fetched once for the whole batch, items are generated by a
+ * bounded worker pool, and each item reports its own result or error.
+ */
+
+import dotenv from 'dotenv';
+import { generateLocationDescription } from './descriptionService.js';
+import { generateCharacterDescription } from './characterDescriptionService.js';
+import { getCharacters, getLocations } from './rickAndMortyRepository.js';
+import { getStoredAppearances } from './appearanceService.js';
+import { runWorkerPool } from './workerPool.js';
+
+dotenv.config();
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || '50', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '4', 10);
+
+const BATCH_ENTITY_TYPES = ['character', 'location'];
+
+/**
+ * Validate and normalize batch items
+ * @param {Array<Object>} items - Items as { entityType, id }
+ * @returns {Array<{entityType: string, id: number}>} Normalized items
+ * @throws {Error} If items is not a non-empty array of valid items, or exceeds BATCH_MAX_ITEMS
+ */
+export function normalizeBatchItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('items must be a non-empty array');
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    throw new Error(`items must contain at most ${BATCH_MAX_ITEMS} entries`);
+  }
+
+  return items.map((item, index) => {
+    if (!item || !BATCH_ENTITY_TYPES.includes(item.entityType)) {
+      throw new Error(`items[${index}].entityType must be one of ${BATCH_ENTITY_TYPES.join(', ')}`);
+    }
+    if (!/^\d+$/.test(String(item.id ?? '')) || parseInt(item.id, 10) === 0) {
+      throw new Error(`items[${index}].id must be a positive integer id`);
+    }
+    return { entityType: item.entityType, id: parseInt(item.id, 10) };
+  });
+}
+
+/**
+ * Fetch the data shared by all items: characters, locations and stored appearances
+ * A failed lookup is not fatal; the affected items fetch their own data and report their own errors
+ */
+async function prefetchBatchData(items) {
+  const idsOf = entityType => [...new Set(items.filter(item => item.entityType === entityType).map(item => item.id))];
+  const characterIds = idsOf('character');
+  const locationIds = idsOf('location');
+
+  const settle = (promise, label) => promise.catch(error => {
+    console.warn(`Batch prefetch of ${label} failed:`, error.message);
+    return null;
+  });
+
+  const [characters, locations, appearances] = await Promise.all([
+    characterIds.length > 0 ? settle(getCharacters(characterIds), 'characters') : [],
+    locationIds.length > 0 ? settle(getLocations(locationIds), 'locations') : [],
+    characterIds.length > 0 ? getStoredAppearances(characterIds) : new Map(),
+  ]);
+
+  return {
+    characters: new Map(characterIds.map((id, index) => [id, characters?.[index]])),
+    locations: new Map(locationIds.map((id, index) => [id, locations?.[index]])),
+    appearances,
+  };
+}
+
+/**
+ * Generate the description for one batch item from the prefetched data
+ */
+async function generateItem(item, shared, { refresh, clientId }) {
+  if (item.entityType === 'character') {
+    const character = shared.characters.get(item.id);
+    if (character === null) {
+      throw new Error(`Character with id ${item.id} not found`);
+    }
+    return generateCharacterDescription(item.id, {
+      refresh,
+      clientId,
+      character,
+      // Without prefetched character data, let the item look up its appearance as well
+      storedAppearance: character ? shared.appearances.get(item.id) || null : undefined,
+    });
+  }
+
+  const location = shared.locations.get(item.id);
+  if (location === null) {
+    throw new Error(`Location with id ${item.id} not found`);
+  }
+  return generateLocationDescription(item.id, { refresh, clientId, location });
+}
+
+/**
+ * Generate descriptions for a batch of characters and locations
+ * @param {Array<{entityType: string, id: number}>} items - Items from normalizeBatchItems
+ * @param {Object} options - Generation options
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<Object>} { results, succeeded, failed } with results in item order
+ */
+export async function generateBatchDescriptions(items, options = {}) {
+  const { refresh = false, clientId } = options;
+
+  const shared = await prefetchBatchData(items);
+
+  // Duplicate items share one generation
+  const keyOf = item => `${item.entityType}:${item.id}`;
+  const uniqueItems = [...new Map(items.map(item => [keyOf(item), item])).values()];
+
+  const outcomes = await runWorkerPool(uniqueItems, async item => {
+    try {
+      const { description, cached, model, variant } = await generateItem(item, shared, { refresh, clientId });
+      return { ...item, status: 'completed', description, cached, model, variant };
+    } catch (error) {
+      console.error(`Batch description for ${keyOf(item)} failed:`, error.message);
+      return { ...item, status: 'failed', error: error.message };
+    }
+  }, { concurrency: BATCH_CONCURRENCY });
+
+  const outcomesByKey = new Map(outcomes.map(outcome => [keyOf(outcome), outcome]));
+  const results = items.map(item => outcomesByKey.get(keyOf(item)));
+  const succeeded = results.filter(result => result.status === 'completed').length;
+
+  return {
+    results,
+    succeeded,
+    failed: results.length - succeeded,
+  };
+}
@@ -1,76 +1,34 @@
-import { GraphQLClient } from 'graphql-request';
 import dotenv from 'dotenv';
-import { analyzeCharacterImage } from './visionService.js';
-import { generateWithLLM } from './llmService.js';
+import { getCharacterAppearance } from './appearanceService.js';
+import { generateCompletion } from './llmService.js';
+import { getCharacters, getLocation } from './rickAndMortyRepository.js';
 
 dotenv.config();
 
-const graphqlClient = new GraphQLClient(
-  process.env.RICK_AND_MORTY_GRAPHQL_URL
-);
-
 // Template configuration name
 const TEMPLATE_CONFIG_NAME = 'character_compatibility_generation';
 
-const GET_CHARACTER_QUERY = `
-  query GetCharacter($id: ID!) {
-    character(id: $id) {
-      id
-      name
-      status
-      species
-      type
-      gender
-      image
-      origin {
-        id
-        name
-        type
-        dimension
-      }
-      location {
-        id
-        name
-        type
-        dimension
-      }
-      episode {
-        id
-        name
-        episode
-        air_date
-      }
-    }
-  }
-`;
-
-const GET_LOCATION_QUERY = `
-  query GetLocation($id: ID!) {
-    location(id: $id) {
-      id
-      name
-      type
-      dimension
-      residents {
-        id
-        name
-      }
-    }
-  }
-`;
+/**
+ * Analyze how two characters would get along at a location
+ * @param {string} character1Id - First character id
+ * @param {string} character2Id - Second character id
+ * @param {string} locationId - Location id
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with (stage, message) as generation advances
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<{analysis: Object, cached: boolean, model: string|null, variant: string|null}>} Compatibility analysis, cache flag, the model that answered and the served variant (null for the built-in fallback)
+ */
+export async function generateCharacterCompatibility(character1Id, character2Id, locationId, options = {}) {
+  const { onProgress = () => {}, refresh = false, clientId } = options;
 
-export async function generateCharacterCompatibility(character1Id, character2Id, locationId) {
   // Fetch both characters and location data
-  const [char1Data, char2Data, locationData] = await Promise.all([
-    graphqlClient.request(GET_CHARACTER_QUERY, { id: character1Id }),
-    graphqlClient.request(GET_CHARACTER_QUERY, { id: character2Id }),
-    graphqlClient.request(GET_LOCATION_QUERY, { id: locationId }),
+  onProgress('fetching_data', 'Fetching character and location data');
+  const [[character1, character2], location] = await Promise.all([
+    getCharacters([character1Id, character2Id]),
+    getLocation(locationId),
   ]);
 
-  const character1 = char1Data.character;
-  const character2 = char2Data.character;
-  const location = locationData.location;
-
   if (!character1) {
     throw new Error(`Character 1 with id ${character1Id} not found`);
   }
@@ -83,9 +41,10 @@ export async function generateCharacterCompatibility(character1Id, character2Id,
 
   // Analyze character images
   console.log('Analyzing character images...');
+  onProgress('analyzing_image', 'Analyzing character images');
   const [visualAppearance1, visualAppearance2] = await Promise.all([
-    analyzeCharacterImage(character1.image, character1.name),
-    analyzeCharacterImage(character2.image, character2.name),
+    getCharacterAppearance(character1, { refresh }),
+    getCharacterAppearance(character2, { refresh }),
   ]);
   console.log('Visual appearances extracted');
 
@@ -110,9 +69,7 @@ export async function generateCharacterCompatibility(character1Id, character2Id,
       location: char.location?.name || 'Unknown',
       visualAppearance: visualAppearance,
       episodesCount: char.episode?.length || 0,
-      episodesList: episodes
-        .map((ep, i) => `${i + 1}. "${ep.name}" (${ep.episode}) - ${ep.airDate}`)
-        .join('\n'),
+      episodes,
     };
   };
 
@@ -138,7 +95,7 @@ export async function generateCharacterCompatibility(character1Id, character2Id,
     character1Location: char1Data_prep.location,
     character1VisualAppearance: char1Data_prep.visualAppearance,
     character1EpisodesCount: char1Data_prep.episodesCount,
-    character1EpisodesList: char1Data_prep.episodesList || 'No episodes available.',
+    character1Episodes: char1Data_prep.episodes,
     
     character2Name: char2Data_prep.name,
     character2Status: char2Data_prep.status,
@@ -149,7 +106,7 @@ export async function generateCharacterCompatibility(character1Id, character2Id,
     character2Location: char2Data_prep.location,
     character2VisualAppearance: char2Data_prep.visualAppearance,
     character2EpisodesCount: char2Data_prep.episodesCount,
-    character2EpisodesList: char2Data_prep.episodesList || 'No episodes available.',
+    character2Episodes: char2Data_prep.episodes,
     
     locationName: locationData_prep.name,
     locationType: locationData_prep.type,
@@ -159,102 +116,27 @@ export async function generateCharacterCompatibility(character1Id, character2Id,
 
   // Generate compatibility analysis using LLM service
   try {
-    const analysis = await generateWithLLM(TEMPLATE_CONFIG_NAME, promptData);
-    return parseCompatibilityAnalysis(analysis);
+    onProgress('generating', 'Generating compatibility analysis');
+    const generation = await generateCompletion(TEMPLATE_CONFIG_NAME, promptData, {
+      refresh,
+      clientId,
+      cacheEntities: [`character:${character1.id}`, `character:${character2.id}`, `location:${location.id}`],
+    });
+    return {
+      analysis: generation.data,
+      cached: generation.cached,
+      model: generation.model,
+      variant: generation.variant,
+    };
   } catch (error) {
     console.error('LLM generation failed, using fallback:', error);
-    return generateFallbackCompatibility(char1Data_prep, char2Data_prep, locationData_prep);
-  }
-}
-
-function parseCompatibilityAnalysis(analysisText) {
-  const result = {
-    teamWork: [],
-    conflicts: [],
-    breaksFirst: [],
-  };
-
-  // First, try to parse as JSON
-  try {
-    // Clean the text - remove markdown code blocks if present
-    let cleanedText = analysisText.trim();
-    if (cleanedText.startsWith('```')) {
-      cleanedText = cleanedText.replace(/```json\s*/i, '').replace(/```\s*/g, '').trim();
-    }
-    
-    const parsed = JSON.parse(cleanedText);
-    
-    if (parsed.teamWork && Array.isArray(parsed.teamWork)) {
-      result.teamWork = parsed.teamWork;
-    }
-    if (parsed.conflicts && Array.isArray(parsed.conflicts)) {
-      result.conflicts = parsed.conflicts;
-    }
-    if (parsed.breaksFirst && Array.isArray(parsed.breaksFirst)) {
-      result.breaksFirst = parsed.breaksFirst;
-    }
-    
-    // If we got valid arrays, return them
-    if (result.teamWork.length > 0 || result.conflicts.length > 0 || result.breaksFirst.length > 0) {
-      return result;
-    }
-  } catch (e) {
-    // Not JSON, continue with text parsing
-    console.log('Not JSON format, parsing as text...');
-  }
-
-  // Fallback: Parse text into arrays by splitting into bullet points
-  const parseTextToArray = (text) => {
-    if (!text) return [];
-    
-    // Split by various bullet point markers
-    const items = text
-      .split(/(?:\n\s*[-•*]\s+|\n\s*\d+\.\s+|\n\s*[•]\s+)/)
-      .map(item => item.trim())
-      .filter(item => item.length > 10 && !item.match(/^(team\s+work|conflict|breaks\s+first|and|or|but|however|therefore|thus|so|also|furthermore|moreover|in addition|additionally)$/i));
-    
-    // If no bullet points found, split by sentences
-    if (items.length <= 1) {
-      const sentences = text.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 10);
-      return sentences;
-    }
-    
-    return items;
-  };
-
-  // Try to extract sections from text
-  const teamWorkMatch = analysisText.match(/(?:1\.?\s*)?(?:TEAM\s+WORK|Team\s+Work|team\s+work)[:\s]*(.*?)(?=\d+\.?\s*(?:CONFLICT|Conflict|conflict)|2\.?\s*|CONFLICT|Conflict|conflict|BREAKS|Breaks|breaks)/is);
-  const conflictMatch = analysisText.match(/(?:2\.?\s*)?(?:CONFLICT|Conflict|conflict|FIGHT|Fight|fight)[:\s]*(.*?)(?=\d+\.?\s*(?:BREAKS|Breaks|breaks)|3\.?\s*|BREAKS|Breaks|breaks|Who|who)/is);
-  const breaksMatch = analysisText.match(/(?:3\.?\s*)?(?:BREAKS\s+FIRST|Breaks\s+First|breaks\s+first|Who\s+breaks)[:\s]*(.*?)$/is);
-
-  if (teamWorkMatch) {
-    result.teamWork = parseTextToArray(teamWorkMatch[1]);
-  }
-  if (conflictMatch) {
-    result.conflicts = parseTextToArray(conflictMatch[1]);
-  }
-  if (breaksMatch) {
-    result.breaksFirst = parseTextToArray(breaksMatch[1]);
-  }
-
-  // If still empty, try splitting the entire text into three parts
-  if (result.teamWork.length === 0 && result.conflicts.length === 0 && result.breaksFirst.length === 0) {
-    const sections = analysisText.split(/\n\s*\n/);
-    if (sections.length >= 3) {
-      result.teamWork = parseTextToArray(sections[0]);
-      result.conflicts = parseTextToArray(sections[1]);
-      result.breaksFirst = parseTextToArray(sections[2]);
-    } else {
-      // Final fallback: split text into three equal parts
-      const length = analysisText.length;
-      const third = Math.floor(length / 3);
-      result.teamWork = parseTextToArray(analysisText.substring(0, third));
-      result.conflicts = parseTextToArray(analysisText.substring(third, 2 * third));
-      result.breaksFirst = parseTextToArray(analysisText.substring(2 * third));
-    }
+    return {
+      analysis: generateFallbackCompatibility(char1Data_prep, char2Data_prep, locationData_prep),
+      cached: false,
+      model: null,
+      variant: null,
+    };
   }
-
-  return result;
 }
 
 function generateFallbackCompatibility(char1, char2, location) {
@@ -1,53 +1,30 @@
-import { GraphQLClient } from 'graphql-request';
 import dotenv from 'dotenv';
-import { analyzeCharacterImage } from './visionService.js';
-import { generateWithLLM } from './llmService.js';
+import { getCharacterAppearance } from './appearanceService.js';
+import { generateCompletion } from './llmService.js';
+import { getCharacter } from './rickAndMortyRepository.js';
 
 dotenv.config();
 
-const graphqlClient = new GraphQLClient(
-  process.env.RICK_AND_MORTY_GRAPHQL_URL
-);
-
 // Template configuration name - defined in config/llm-config.json
 const TEMPLATE_CONFIG_NAME = 'character_description_generation';
 
-const GET_CHARACTER_QUERY = `
-  query GetCharacter($id: ID!) {
-    character(id: $id) {
-      id
-      name
-      status
-      species
-      type
-      gender
-      image
-      origin {
-        id
-        name
-        type
-        dimension
-      }
-      location {
-        id
-        name
-        type
-        dimension
-      }
-      episode {
-        id
-        name
-        episode
-        air_date
-      }
-    }
-  }
-`;
+/**
+ * Build the context a character description is generated and evaluated against
+ * Includes the character's visual appearance, from the stored vision analysis when it is current
+ * @param {string} characterId - Character id
+ * @param {Object} options - Context options
+ * @param {Function} options.onProgress - Called with (stage, message) as the context is built
+ * @param {boolean} options.refresh - Re-run vision analysis even if an appearance is stored
+ * @param {Object} options.character - Character already fetched from the repository, skips the lookup
+ * @param {Object|null} options.storedAppearance - Stored appearance row already loaded, skips the lookup
+ * @returns {Promise<Object>} Character, character data, location data and prompt data
+ */
+export async function buildCharacterContext(characterId, options = {}) {
+  const { onProgress = () => {}, refresh = false, storedAppearance } = options;
 
-export async function generateCharacterDescription(characterId, generateDescription = true) {
   // Fetch character data from GraphQL API
-  const data = await graphqlClient.request(GET_CHARACTER_QUERY, { id: characterId });
-  const character = data.character;
+  onProgress('fetching_data', 'Fetching character data');
+  const character = options.character || await getCharacter(characterId);
 
   if (!character) {
     throw new Error(`Character with id ${characterId} not found`);
@@ -55,7 +32,8 @@ export async function generateCharacterDescription(characterId, generateDescript
 
   // Step 1: Analyze character image to get visual appearance
   console.log('Analyzing character image...');
-  const visualAppearance = await analyzeCharacterImage(character.image, character.name);
+  onProgress('analyzing_image', 'Analyzing character image');
+  const visualAppearance = await getCharacterAppearance(character, { refresh, stored: storedAppearance });
   console.log('Visual appearance extracted');
 
   // Step 2: Prepare character data
@@ -87,10 +65,6 @@ export async function generateCharacterDescription(characterId, generateDescript
       airDate: ep.air_date || 'Unknown',
     }));
 
-  const episodesList = episodes
-    .map((ep, i) => `${i + 1}. "${ep.name}" (${ep.episode}) - Aired: ${ep.airDate}`)
-    .join('\n');
-
   // Step 5: Prepare data for prompt template
   const promptData = {
     characterName: characterData.name,
@@ -105,23 +79,49 @@ export async function generateCharacterDescription(characterId, generateDescript
     locationType: locationData.type,
     locationDimension: locationData.dimension,
     episodesCount: character.episode?.length || 0,
-    episodesList: episodesList || 'No episodes available.',
+    episodes,
   };
 
-  if(!generateDescription) {
-    return {
-      characterData,
-      locationData,
-      promptData,
-    };
-  }
+  return {
+    character,
+    characterData,
+    locationData,
+    promptData,
+  };
+}
+
+/**
+ * Generate a description for a character
+ * @param {string} characterId - Character id
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with (stage, message) as generation advances
+ * @param {Function} options.onDelta - Called with each text delta when streaming
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {Object} options.character - Character already fetched from the repository, skips the lookup
+ * @param {Object|null} options.storedAppearance - Stored appearance row already loaded, skips the lookup
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<Object>} Description with cache flag, answering model, served variant, character, location and prompt data
+ */
+export async function generateCharacterDescription(characterId, options = {}) {
+  const { onDelta, refresh = false, onProgress = () => {}, clientId } = options;
+
+  const { character, characterData, locationData, promptData } = await buildCharacterContext(characterId, options);
 
   // Step 6: Generate description using LLM service
   try {
-    const description = await generateWithLLM(TEMPLATE_CONFIG_NAME, promptData);
+    onProgress('generating', 'Generating description');
+    const generation = await generateCompletion(TEMPLATE_CONFIG_NAME, promptData, {
+      onDelta,
+      refresh,
+      clientId,
+      cacheEntities: [`character:${character.id}`],
+    });
     // Return both the description and metadata for evaluation
     return {
-      description,
+      description: generation.text,
+      cached: generation.cached,
+      model: generation.model,
+      variant: generation.variant,
       characterData,
       locationData,
       promptData,
@@ -130,4 +130,4 @@ export async function generateCharacterDescription(characterId, generateDescript
     console.error('LLM generation failed, using fallback:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
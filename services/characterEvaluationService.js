@@ -3,95 +3,64 @@
  * Uses LLM to evaluate description quality and accuracy
  */
 
-import { generateWithLLM } from './llmService.js';
+import { generateCompletion } from './llmService.js';
+import { completeEvaluation } from './evaluationHistoryService.js';
+import { checkCharacterDescription, knownValue } from './descriptionRuleChecks.js';
 
-export async function evaluateCharacterDescription(description, characterData, locationData, promptData) {
+// Generation template the evaluated descriptions belong to, recorded with each evaluation
+const GENERATION_TEMPLATE_NAME = 'character_description_generation';
+
+/**
+ * Evaluate a character description against the context it should be based on
+ * @param {string} description - Description to evaluate
+ * @param {Object} characterData - Character data from buildCharacterContext
+ * @param {Object} locationData - Location data from buildCharacterContext
+ * @param {Object} promptData - Prompt data from buildCharacterContext
+ * @param {Object} options - Evaluation options
+ * @param {number|string} options.entityId - Character id; when set, the evaluation is stored in the evaluation history
+ * @param {string} options.model - Model that generated the description, if known
+ * @param {string} options.variant - Template variant that generated the description, if known
+ * @returns {Promise<Object>} Evaluation with checks, quality checks, autoScore and explanation, plus the
+ *   deterministic ruleChecks, their disagreements with the LLM checks and the blendedScore
+ */
+export async function evaluateCharacterDescription(description, characterData, locationData, promptData, options = {}) {
   // Prepare evaluation prompt data
   const evaluationPromptData = {
     characterName: characterData.name || 'Unknown',
     characterStatus: characterData.status || 'Unknown',
     characterSpecies: characterData.species || 'Unknown',
-    characterType: characterData.type || 'Unknown',
-    characterTypeNote: (!characterData.type || characterData.type === 'Unknown') ? ' (may be "Unknown")' : '',
+    characterType: knownValue(characterData.type),
     characterGender: characterData.gender || 'Unknown',
-    characterOrigin: characterData.origin || 'Unknown',
-    originNote: (!characterData.origin || characterData.origin === 'Unknown') ? ' (may be "Unknown")' : '',
-    characterLocation: characterData.location || 'Unknown',
-    locationNote: (!characterData.location || characterData.location === 'Unknown') ? ' (may be "Unknown")' : '',
+    characterOrigin: knownValue(characterData.origin),
+    characterLocation: knownValue(characterData.location),
     visualAppearance: promptData.visualAppearance || 'No visual appearance data available.',
-    locationName: locationData.name || 'Unknown',
-    locationNameNote: (!locationData.name || locationData.name === 'Unknown') ? ' (may be "Unknown")' : '',
-    locationType: locationData.type || 'Unknown',
-    locationTypeNote: (!locationData.type || locationData.type === 'Unknown') ? ' (may be "Unknown")' : '',
-    locationDimension: locationData.dimension || 'Unknown',
-    dimensionNote: (!locationData.dimension || locationData.dimension === 'Unknown') ? ' (may be "Unknown")' : '',
+    locationName: knownValue(locationData.name),
+    locationType: knownValue(locationData.type),
+    locationDimension: knownValue(locationData.dimension),
     episodesCount: promptData.episodesCount || 0,
-    episodesList: promptData.episodesList || 'No episodes available.',
+    episodes: promptData.episodes || [],
     description: description,
   };
 
+  // Deterministic checks run first; they do not depend on the evaluator
+  const ruleChecks = checkCharacterDescription(description, characterData, promptData);
+
   try {
-    // Use LLM to evaluate the description
-    const evaluationText = await generateWithLLM('character_description_evaluation', evaluationPromptData);
-    
-    // Parse the JSON response
-    const evaluation = parseEvaluationResponse(evaluationText);
-    
-    return {
-      ...evaluation,
-      characterData,
-      locationData,
+    // Use LLM to evaluate the description; the output is validated against the template's output_schema
+    const generation = await generateCompletion('character_description_evaluation', evaluationPromptData);
+
+    return await completeEvaluation(generation, {
+      entityType: 'character',
+      entityId: options.entityId,
+      templateName: GENERATION_TEMPLATE_NAME,
       promptData,
       description,
-    };
+      ruleChecks,
+      model: options.model,
+      variant: options.variant,
+    });
   } catch (error) {
     console.error('LLM evaluation failed:', error);
     throw error;
   }
 }
-
-function parseEvaluationResponse(evaluationText) {
-  // Try to parse JSON from the response
-  let cleanedText = evaluationText.trim();
-
-  try {
-    const parsed = JSON.parse(cleanedText);
-    console.log('Parsed evaluation:', JSON.stringify(parsed, null, 2));
-    
-    const result = {
-      checks: parsed.checks || {},
-      qualityChecks: parsed.qualityChecks || {},
-      autoScore: parsed.autoScore !== undefined ? parsed.autoScore : 0,
-      explanation: parsed.explanation || 'No explanation provided',
-    };
-    
-    // Ensure all required fields exist
-    const requiredChecks = [
-      'nameMentioned', 'statusMentioned', 'speciesMentioned', 'typeMentioned',
-      'genderMentioned', 'originMentioned', 'locationMentioned', 'visualAppearanceMentioned'
-    ];
-    
-    requiredChecks.forEach(check => {
-      if (result.checks[check] === undefined) {
-        result.checks[check] = false;
-      }
-    });
-    
-    const requiredQualityChecks = [
-      'hasEpisodeContext', 'hasLocationContext', 'hasRickAndMortyStyle', 'hasCharacterDepth'
-    ];
-    
-    requiredQualityChecks.forEach(check => {
-      if (result.qualityChecks[check] === undefined) {
-        result.qualityChecks[check] = false;
-      }
-    });
-    
-    return result;
-  } catch (e) {
-    console.warn('Failed to parse JSON from evaluation response:', e);
-    console.warn('JSON match was:', cleanedText.substring(0, 200));
-    throw new Error('Failed to parse evaluation response');
-  }
-}
-
@@ -1,53 +1,28 @@
-import { GraphQLClient } from 'graphql-request';
 import dotenv from 'dotenv';
-import { analyzeCharacterImage } from './visionService.js';
-import { generateWithLLM } from './llmService.js';
+import { getCharacterAppearance } from './appearanceService.js';
+import { generateCompletion } from './llmService.js';
+import { getCharacter } from './rickAndMortyRepository.js';
 
 dotenv.config();
 
-const graphqlClient = new GraphQLClient(
-  process.env.RICK_AND_MORTY_GRAPHQL_URL
-);
-
 // Template configuration name - will be added to config/llm-config.json
 const TEMPLATE_CONFIG_NAME = 'character_insights_generation';
 
-const GET_CHARACTER_QUERY = `
-  query GetCharacter($id: ID!) {
-    character(id: $id) {
-      id
-      name
-      status
-      species
-      type
-      gender
-      image
-      origin {
-        id
-        name
-        type
-        dimension
-      }
-      location {
-        id
-        name
-        type
-        dimension
-      }
-      episode {
-        id
-        name
-        episode
-        air_date
-      }
-    }
-  }
-`;
+/**
+ * Generate 5 insights about a character
+ * @param {string} characterId - Character id
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with (stage, message) as generation advances
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<{insights: Array<string>, cached: boolean, model: string|null, variant: string|null}>} Insights, cache flag, the model that answered and the served variant (null for the built-in fallback)
+ */
+export async function generateCharacterInsights(characterId, options = {}) {
+  const { onProgress = () => {}, refresh = false, clientId } = options;
 
-export async function generateCharacterInsights(characterId) {
   // Fetch character data from GraphQL API
-  const data = await graphqlClient.request(GET_CHARACTER_QUERY, { id: characterId });
-  const character = data.character;
+  onProgress('fetching_data', 'Fetching character data');
+  const character = await getCharacter(characterId);
 
   if (!character) {
     throw new Error(`Character with id ${characterId} not found`);
@@ -55,7 +30,9 @@ export async function generateCharacterInsights(characterId) {
 
   // Step 1: Analyze character image to get visual appearance
   console.log('Analyzing character image for insights...');
-  const visualAppearance = await analyzeCharacterImage(character.image, character.name);
+  onProgress('analyzing_image', 'Analyzing character image');
+  const cacheEntities = [`character:${character.id}`];
+  const visualAppearance = await getCharacterAppearance(character, { refresh });
   console.log('Visual appearance extracted');
 
   // Step 2: Prepare character data
@@ -80,10 +57,6 @@ export async function generateCharacterInsights(characterId) {
       airDate: ep.air_date || 'Unknown',
     }));
 
-  const episodesList = episodes
-    .map((ep, i) => `${i + 1}. "${ep.name}" (${ep.episode}) - Aired: ${ep.airDate}`)
-    .join('\n');
-
   // Step 4: Prepare data for prompt template
   const promptData = {
     characterName: characterData.name,
@@ -95,22 +68,33 @@ export async function generateCharacterInsights(characterId) {
     characterLocation: characterData.location,
     visualAppearance: visualAppearance,
     episodesCount: character.episode?.length || 0,
-    episodesList: episodesList || 'No episodes available.',
+    episodes,
   };
 
   // Step 5: Generate insights using LLM service
   try {
-    const insightsText = await generateWithLLM(TEMPLATE_CONFIG_NAME, promptData);
+    onProgress('generating', 'Generating insights');
+    const generation = await generateCompletion(TEMPLATE_CONFIG_NAME, promptData, { refresh, clientId, cacheEntities });
     
     // Parse the insights from the response (expecting a list format)
-    const insights = parseInsights(insightsText);
+    const insights = parseInsights(generation.text);
     
     // Ensure we have exactly 5 insights
-    return insights.slice(0, 5);
+    return {
+      insights: insights.slice(0, 5),
+      cached: generation.cached,
+      model: generation.model,
+      variant: generation.variant,
+    };
   } catch (error) {
     // Fallback insights if LLM fails
     console.error('LLM generation failed, using fallback:', error);
-    return generateFallbackInsights(characterData);
+    return {
+      insights: generateFallbackInsights(characterData),
+      cached: false,
+      model: null,
+      variant: null,
+    };
   }
 }
 
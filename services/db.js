@@ -0,0 +1,18 @@
+/**
+ * Shared PostgreSQL connection pool
+ * Used by search, generation cache and any other service that talks to the database
+ */
+
+import pkg from 'pg';
+import dotenv from 'dotenv';
+
+const { Pool } = pkg;
+dotenv.config();
+
+export const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'rickandmorty',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || '',
+});
@@ -0,0 +1,260 @@
+/**
+ * Deterministic description checks
+ * Verifies in code what the LLM evaluators otherwise judge on their own: whether names, species,
+ * dimensions and other values appear in the description, whether episodes are cited, and the
+ * length limits from the generation prompts. The checks use the same keys as the evaluators'
+ * `checks`, so the two verdicts can be compared, and their score is blended with `autoScore`.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Share of the blended score that comes from the rule score (0 = LLM only, 1 = rules only)
+const RULE_WEIGHT = parseFloat(process.env.EVALUATION_RULE_WEIGHT || '0.5');
+if (!(RULE_WEIGHT >= 0 && RULE_WEIGHT <= 1)) {
+  throw new Error(`EVALUATION_RULE_WEIGHT must be a number between 0 and 1 (got "${process.env.EVALUATION_RULE_WEIGHT}")`);
+}
+
+// Length limits from the generation prompts (prompts/characterDescription.js, prompts/locationDescription.js)
+const CHARACTER_MAX_WORDS = 150;
+const CHARACTER_MAX_PARAGRAPHS = 2;
+const LOCATION_MAX_PARAGRAPHS = 1;
+
+// Points per check; mentions use the points of the evaluators' scoring rules
+const CHARACTER_POINTS = {
+  nameMentioned: 2,
+  statusMentioned: 1,
+  speciesMentioned: 1,
+  typeMentioned: 0.5,
+  genderMentioned: 0.5,
+  originMentioned: 1,
+  locationMentioned: 1,
+  episodeCited: 0.5,
+  withinWordLimit: 1,
+  withinParagraphLimit: 0.5,
+};
+
+const LOCATION_POINTS = {
+  nameMentioned: 4,
+  typeMentioned: 2,
+  dimensionMentioned: 2,
+  totalResidentsMentioned: 1,
+  withinParagraphLimit: 1,
+};
+
+const STATUS_TERMS = {
+  alive: ['alive', 'living'],
+  dead: ['dead', 'deceased', 'died', 'killed'],
+};
+
+// Only explicit gender terms count: pronouns and words like "man" or "girl" can refer to any
+// character in the description, so nearly every description would pass on them
+const GENDER_TERMS = {
+  male: ['male', 'masculine'],
+  female: ['female', 'feminine'],
+  genderless: ['genderless', 'agender', 'sexless'],
+};
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty',
+];
+
+const NAME_TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'sir', 'king', 'queen', 'lord', 'president', 'the']);
+
+/**
+ * Lowercase a text and normalize quotes, dashes and whitespace for matching
+ */
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[‐-―]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a normalized text contains a term as a whole word (an "s" plural counts)
+ */
+function containsTerm(text, term) {
+  const normalized = normalize(term);
+  if (!normalized) return false;
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalized)}s?($|[^a-z0-9])`).test(text);
+}
+
+function containsAny(text, terms) {
+  return terms.some(term => containsTerm(text, term));
+}
+
+/**
+ * A value is checkable when it is present and not "Unknown"
+ */
+function isKnown(value) {
+  return Boolean(value) && normalize(value) !== 'unknown';
+}
+
+/**
+ * Return a field value, or null when it is missing or "Unknown"
+ * The evaluation prompts use {{#if}} to tell the evaluator which fields may be unknown
+ * @param {string} value - Field value
+ * @returns {string|null}
+ */
+export function knownValue(value) {
+  return isKnown(value) ? value : null;
+}
+
+/**
+ * Ways a place name can be written: "Earth (C-137)" also matches "Earth" and "C-137"
+ */
+function placeNameForms(name) {
+  const forms = [name];
+  const parenthetical = name.match(/^(.+?)\s*\((.+)\)$/);
+  if (parenthetical) {
+    forms.push(parenthetical[1], parenthetical[2]);
+  }
+  return forms;
+}
+
+/**
+ * Ways a character name can be written: the full name or the first name ("Rick Sanchez", "Rick")
+ */
+function characterNameForms(name) {
+  const tokens = normalize(name).replace(/\./g, '').split(' ');
+  const firstName = tokens.find(token => !NAME_TITLES.has(token));
+  return firstName && firstName.length >= 3 ? [name, firstName] : [name];
+}
+
+/**
+ * Ways a dimension can be written: "Dimension C-137" also matches "C-137"
+ */
+function dimensionForms(dimension) {
+  const forms = [dimension];
+  const identifier = dimension.match(/^dimension\s+(.+)$/i);
+  if (identifier) {
+    forms.push(identifier[1]);
+  }
+  return forms;
+}
+
+/**
+ * Check whether a resident count appears in digits or words ("42", "1,200", "seven");
+ * zero also matches phrases like "no residents" or "uninhabited"
+ */
+function mentionsCount(text, count) {
+  if (count === 0) {
+    return /(^|[^a-z])(no (known )?(residents|inhabitants|one|population)|uninhabited|unpopulated|nobody|empty)/.test(text);
+  }
+  const digits = String(count);
+  const grouped = count.toLocaleString('en-US');
+  return containsTerm(text, digits)
+    || containsTerm(text, grouped)
+    || (count < NUMBER_WORDS.length && containsTerm(text, NUMBER_WORDS[count]));
+}
+
+function countWords(description) {
+  return description.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function countParagraphs(description) {
+  return description.trim().split(/\n\s*\n/).filter(paragraph => paragraph.trim()).length;
+}
+
+/**
+ * Score the checks that apply (null checks are skipped), on the evaluators' 0-10 scale
+ */
+function scoreChecks(checks, points) {
+  let earned = 0;
+  let possible = 0;
+  for (const [key, value] of Object.entries(checks)) {
+    if (value === null) continue;
+    possible += points[key];
+    if (value) earned += points[key];
+  }
+  return possible > 0 ? Number(((earned / possible) * 10).toFixed(2)) : null;
+}
+
+/**
+ * Run the deterministic checks for a character description
+ * Checks are true or false, or null when they do not apply (e.g. an "Unknown" origin)
+ * @param {string} description - Description to check
+ * @param {Object} characterData - Character data from buildCharacterContext
+ * @param {Object} promptData - Prompt data from buildCharacterContext
+ * @returns {{checks: Object, wordCount: number, paragraphCount: number, score: number|null}}
+ */
+export function checkCharacterDescription(description, characterData, promptData = {}) {
+  const text = normalize(description);
+  const status = normalize(characterData.status || '');
+  const gender = normalize(characterData.gender || '');
+  const episodes = promptData.episodes || [];
+  const wordCount = countWords(description);
+  const paragraphCount = countParagraphs(description);
+
+  const checks = {
+    nameMentioned: isKnown(characterData.name) ? containsAny(text, characterNameForms(characterData.name)) : null,
+    statusMentioned: STATUS_TERMS[status] ? containsAny(text, STATUS_TERMS[status]) : null,
+    speciesMentioned: isKnown(characterData.species) ? containsTerm(text, characterData.species) : null,
+    typeMentioned: isKnown(characterData.type) ? containsTerm(text, characterData.type) : null,
+    genderMentioned: GENDER_TERMS[gender] ? containsAny(text, GENDER_TERMS[gender]) : null,
+    originMentioned: isKnown(characterData.origin) ? containsAny(text, placeNameForms(characterData.origin)) : null,
+    locationMentioned: isKnown(characterData.location) ? containsAny(text, placeNameForms(characterData.location)) : null,
+    episodeCited: episodes.length > 0
+      ? episodes.some(episode => containsTerm(text, episode.name) || containsTerm(text, episode.episode))
+      : null,
+    withinWordLimit: wordCount <= CHARACTER_MAX_WORDS,
+    withinParagraphLimit: paragraphCount <= CHARACTER_MAX_PARAGRAPHS,
+  };
+
+  return { checks, wordCount, paragraphCount, score: scoreChecks(checks, CHARACTER_POINTS) };
+}
+
+/**
+ * Run the deterministic checks for a location description
+ * Checks are true or false, or null when they do not apply (e.g. an "Unknown" dimension)
+ * @param {string} description - Description to check
+ * @param {Object} locationData - Location data from buildLocationContext
+ * @param {Object} promptData - Prompt data from buildLocationContext
+ * @returns {{checks: Object, wordCount: number, paragraphCount: number, score: number|null}}
+ */
+export function checkLocationDescription(description, locationData, promptData = {}) {
+  const text = normalize(description);
+  const totalResidents = promptData.totalResidentCount ?? null;
+  const paragraphCount = countParagraphs(description);
+
+  const checks = {
+    nameMentioned: isKnown(locationData.name) ? containsAny(text, placeNameForms(locationData.name)) : null,
+    typeMentioned: isKnown(locationData.type) ? containsTerm(text, locationData.type) : null,
+    dimensionMentioned: isKnown(locationData.dimension) ? containsAny(text, dimensionForms(locationData.dimension)) : null,
+    totalResidentsMentioned: totalResidents !== null ? mentionsCount(text, totalResidents) : null,
+    withinParagraphLimit: paragraphCount <= LOCATION_MAX_PARAGRAPHS,
+  };
+
+  return { checks, wordCount: countWords(description), paragraphCount, score: scoreChecks(checks, LOCATION_POINTS) };
+}
+
+/**
+ * Compare rule checks with the LLM evaluator's verdict and blend the two scores
+ * Only checks both sides report are compared, and rule checks that do not apply are skipped
+ * @param {Object} ruleChecks - Result of checkCharacterDescription or checkLocationDescription
+ * @param {Object} evaluation - Evaluator output with checks and autoScore
+ * @returns {{disagreements: Array<{check: string, rule: boolean, llm: boolean}>, blendedScore: number}}
+ *   blendedScore weighs the rule score by EVALUATION_RULE_WEIGHT (default 0.5) and autoScore by the rest
+ */
+export function compareWithEvaluation(ruleChecks, evaluation) {
+  const llmChecks = evaluation.checks || {};
+  const disagreements = Object.entries(ruleChecks.checks)
+    .filter(([key, value]) => value !== null && typeof llmChecks[key] === 'boolean' && llmChecks[key] !== value)
+    .map(([key, value]) => ({ check: key, rule: value, llm: llmChecks[key] }));
+
+  const blendedScore = ruleChecks.score === null
+    ? evaluation.autoScore
+    : RULE_WEIGHT * ruleChecks.score + (1 - RULE_WEIGHT) * evaluation.autoScore;
+
+  return { disagreements, blendedScore: Number(blendedScore.toFixed(2)) };
+}
@@ -1,45 +1,22 @@
-import { GraphQLClient } from 'graphql-request';
 import dotenv from 'dotenv';
-import { generateWithLLM } from './llmService.js';
+import { generateCompletion } from './llmService.js';
+import { getLocation } from './rickAndMortyRepository.js';
 
 dotenv.config();
 
-const graphqlClient = new GraphQLClient(
-  process.env.RICK_AND_MORTY_GRAPHQL_URL
-);
-
 // Template configuration name - defined in config/llm-config.json
 const TEMPLATE_CONFIG_NAME = 'location_description_generation';
 
-const GET_LOCATION_QUERY = `
-  query GetLocation($id: ID!) {
-    location(id: $id) {
-      id
-      name
-      type
-      dimension
-      residents {
-        id
-        name
-        status
-        species
-        type
-        gender
-        origin {
-          name
-        }
-        location {
-          name
-        }
-      }
-    }
-  }
-`;
-
-export async function generateLocationDescription(locationId) {
+/**
+ * Build the context a location description is generated and evaluated against
+ * @param {string} locationId - Location id
+ * @param {Object} options - Context options
+ * @param {Object} options.location - Location already fetched from the repository, skips the lookup
+ * @returns {Promise<Object>} Location, location data and prompt data
+ */
+export async function buildLocationContext(locationId, options = {}) {
   // Fetch location data from GraphQL API
-  const data = await graphqlClient.request(GET_LOCATION_QUERY, { id: locationId });
-  const location = data.location;
+  const location = options.location || await getLocation(locationId);
 
   if (!location) {
     throw new Error(`Location with id ${locationId} not found`);
@@ -59,43 +36,60 @@ export async function generateLocationDescription(locationId) {
       name: resident.name,
       status: resident.status,
       species: resident.species,
-      type: resident.type || 'Unknown',
+      type: resident.type || null,
       gender: resident.gender,
       originName: resident.origin?.name || 'Unknown',
       locationName: resident.location?.name || 'Unknown',
     }));
 
-  // Format residents list for prompt
-  const residentsList = residents
-    .map((r, i) => 
-      `${i + 1}. ${r.name} - ${r.status} ${r.species}${r.type !== 'Unknown' ? ` (${r.type})` : ''}, ${r.gender}, from ${r.originName}, currently at ${r.locationName}`
-    )
-    .join('\n');
-
   // Get total resident count (before limiting to 20)
   const totalResidents = location.residents?.length || 0;
   const residentsPassed = residents.length; // Number of residents we're actually passing (max 20)
 
-  // Prepare residents list note
-  const residentsListNote = totalResidents === 0 
-    ? 'No known residents in this location.'
-    : `Showing ${residentsPassed} sample residents out of ${totalResidents} total.`;
-
   // Prepare data for prompt template
   const promptData = {
     locationName: locationData.name,
-    locationType: locationData.type,
-    locationDimension: locationData.dimension,
+    locationType: locationData.type || 'Unknown',
+    locationDimension: locationData.dimension || 'Unknown',
     totalResidentCount: totalResidents,
     residentsPassed: residentsPassed,
-    residentsListNote: residentsListNote,
-    residentsList: residentsList || 'No residents listed.',
+    residents,
+  };
+
+  return {
+    location,
+    locationData,
+    promptData,
   };
+}
+
+/**
+ * Generate a description for a location
+ * @param {string} locationId - Location id
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with (stage, message) as generation advances
+ * @param {Function} options.onDelta - Called with each text delta when streaming
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {Object} options.location - Location already fetched from the repository, skips the lookup
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<Object>} Description with cache flag, answering model, served variant, location and prompt data
+ */
+export async function generateLocationDescription(locationId, options = {}) {
+  const { onProgress = () => {}, onDelta, refresh = false, clientId } = options;
+
+  onProgress('fetching_data', 'Fetching location data');
+  const { location, locationData, promptData } = await buildLocationContext(locationId, { location: options.location });
 
   // Generate description using LLM service
-  let description;
+  let generation;
   try {
-    description = await generateWithLLM(TEMPLATE_CONFIG_NAME, promptData);
+    onProgress('generating', 'Generating description');
+    generation = await generateCompletion(TEMPLATE_CONFIG_NAME, promptData, {
+      onDelta,
+      refresh,
+      clientId,
+      cacheEntities: [`location:${location.id}`],
+    });
   } catch (error) {
     console.error('LLM generation failed:', error);
     throw error;
@@ -103,7 +97,10 @@ export async function generateLocationDescription(locationId) {
 
   // Return both the description and metadata for evaluation
   return {
-    description,
+    description: generation.text,
+    cached: generation.cached,
+    model: generation.model,
+    variant: generation.variant,
     locationData,
     promptData,
   };
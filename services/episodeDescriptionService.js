@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import { generateCompletion } from './llmService.js';
+import { getEpisode } from './rickAndMortyRepository.js';
+
+dotenv.config();
+
+// Template configuration name - defined in config/llm-config.json
+const TEMPLATE_CONFIG_NAME = 'episode_description_generation';
+
+/**
+ * Build the context an episode description is generated against
+ * @param {string} episodeId - Episode id
+ * @returns {Promise<Object>} Episode, episode data and prompt data
+ */
+export async function buildEpisodeContext(episodeId) {
+  // Fetch episode data from GraphQL API
+  const episode = await getEpisode(episodeId);
+
+  if (!episode) {
+    throw new Error(`Episode with id ${episodeId} not found`);
+  }
+
+  // Prepare episode data
+  const episodeData = {
+    name: episode.name,
+    episode: episode.episode,
+    airDate: episode.air_date,
+  };
+
+  // Prepare cast data (max 20 characters)
+  const characters = (episode.characters || [])
+    .slice(0, 20)
+    .map((character) => ({
+      name: character.name,
+      status: character.status || 'Unknown',
+      species: character.species || 'Unknown',
+    }));
+
+  // Prepare data for prompt template
+  const promptData = {
+    episodeName: episodeData.name,
+    episodeCode: episodeData.episode || 'Unknown',
+    airDate: episodeData.airDate || 'Unknown',
+    totalCharacterCount: episode.characters?.length || 0,
+    charactersPassed: characters.length,
+    characters,
+  };
+
+  return {
+    episode,
+    episodeData,
+    promptData,
+  };
+}
+
+/**
+ * Generate a description for an episode
+ * @param {string} episodeId - Episode id
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with (stage, message) as generation advances
+ * @param {Function} options.onDelta - Called with each text delta when streaming
+ * @param {boolean} options.refresh - Bypass the generation cache
+ * @param {string} options.clientId - Client id, used for sticky prompt/model variant assignment
+ * @returns {Promise<Object>} Description with cache flag, answering model, served variant, episode and prompt data
+ */
+export async function generateEpisodeDescription(episodeId, options = {}) {
+  const { onProgress = () => {}, onDelta, refresh = false, clientId } = options;
+
+  onProgress('fetching_data', 'Fetching episode data');
+  const { episode, episodeData, promptData } = await buildEpisodeContext(episodeId);
+
+  // Generate description using LLM service
+  let generation;
+  try {
+    onProgress('generating', 'Generating description');
+    generation = await generateCompletion(TEMPLATE_CONFIG_NAME, promptData, {
+      onDelta,
+      refresh,
+      clientId,
+      cacheEntities: [`episode:${episode.id}`],
+    });
+  } catch (error) {
+    console.error('LLM generation failed:', error);
+    throw error;
+  }
+
+  return {
+    description: generation.text,
+    cached: generation.cached,
+    model: generation.model,
+    variant: generation.variant,
+    episodeData,
+    promptData,
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Evaluation history
+ * Persists description evaluations in the `evaluations` table and aggregates them into score
+ * distributions, check pass rates, rule/LLM disagreement rates and trends per generation
+ * template and model, so model or prompt changes can be compared on the same evaluator.
+ */
+
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { hashTemplatePrompt } from './llmService.js';
+import { compareWithEvaluation } from './descriptionRuleChecks.js';
+
+const TREND_WINDOWS = ['hour', 'day', 'week', 'month'];
+const ENTITY_TYPES = ['character', 'location'];
+
+// Evaluations that could not be attributed to a generation model are grouped under this name
+const UNKNOWN_MODEL = 'unknown';
+
+function round(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(Number(value).toFixed(digits));
+}
+
+/**
+ * Find the cached generation an evaluated description came from
+ * Matches the exact text among the entity's generations for the template or any of its
+ * variants (cached as "template@variant"), narrowed to the model and variant when given
+ */
+async function findGeneration(entityKey, templateName, description, { model, variant }) {
+  const result = await pool.query(`
+    SELECT model, prompt_hash, NULLIF(split_part(template_name, '@', 2), '') AS variant
+    FROM generations
+    WHERE entity_key = $1
+      AND (template_name = $2 OR template_name LIKE $2 || '@%')
+      AND content = $3
+      AND ($4::text IS NULL OR model = $4)
+      AND ($5::text IS NULL OR template_name = $2 || '@' || $5)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [entityKey, templateName, description, model, variant]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Hash the current generation prompt for the context, for descriptions without a cached generation
+ * Falls back to the template's base prompt if the variant is no longer configured
+ */
+function currentPromptHash(templateName, variant, promptData) {
+  if (variant) {
+    try {
+      return hashTemplatePrompt(`${templateName}@${variant}`, promptData);
+    } catch (error) {
+      console.warn(`Variant "${variant}" of "${templateName}" is not configured, hashing the base prompt`);
+    }
+  }
+  return hashTemplatePrompt(templateName, promptData);
+}
+
+/**
+ * Store an evaluation with the generation it is attributed to
+ * The model and variant are the ones given by the caller, or those of a cached generation with
+ * the same text; the prompt hash is that generation's, or the hash of the current prompt for the context.
+ * Failures are logged and do not fail the evaluation
+ * @param {Object} record - Evaluation record
+ * @param {string} record.entityType - "character" or "location"
+ * @param {number|string} record.entityId - Entity id
+ * @param {string} record.templateName - Generation template the description belongs to
+ * @param {Object} record.promptData - Prompt data of the context the description was evaluated against
+ * @param {string} record.description - Evaluated description
+ * @param {string|null} record.model - Generation model, when known by the caller
+ * @param {string|null} record.variant - Template variant, when known by the caller
+ * @param {Object} record.evaluation - Evaluator output with autoScore, checks, qualityChecks and model, plus
+ *   ruleChecks, disagreements and blendedScore
+ * @returns {Promise<Object|null>} { id, templateName, model, variant, promptHash }, or null if it was not stored
+ */
+export async function recordEvaluation({ entityType, entityId, templateName, promptData, description, model = null, variant = null, evaluation }) {
+  try {
+    const generation = await findGeneration(`${entityType}:${entityId}`, templateName, description, { model, variant });
+    const attributedModel = model || generation?.model || null;
+    const attributedVariant = variant || generation?.variant || null;
+    const promptHash = generation?.prompt_hash || currentPromptHash(templateName, attributedVariant, promptData);
+    const descriptionHash = crypto.createHash('sha256').update(description).digest('hex');
+
+    const result = await pool.query(`
+      INSERT INTO evaluations (
+        entity_type, entity_id, template_name, model, variant, prompt_hash, description_hash,
+        evaluator_model, auto_score, checks, quality_checks,
+        rule_checks, rule_score, blended_score, disagreements
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING id
+    `, [
+      entityType,
+      parseInt(entityId),
+      templateName,
+      attributedModel,
+      attributedVariant,
+      promptHash,
+      descriptionHash,
+      evaluation.model,
+      evaluation.autoScore,
+      JSON.stringify(evaluation.checks || {}),
+      JSON.stringify(evaluation.qualityChecks || {}),
+      JSON.stringify(evaluation.ruleChecks?.checks || {}),
+      evaluation.ruleChecks?.score ?? null,
+      evaluation.blendedScore ?? null,
+      JSON.stringify(evaluation.disagreements || []),
+    ]);
+
+    return {
+      id: Number(result.rows[0].id),
+      templateName,
+      model: attributedModel,
+      variant: attributedVariant,
+      promptHash,
+    };
+  } catch (error) {
+    console.warn(`Evaluation store failed for ${entityType} ${entityId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Combine the LLM evaluator's verdict with the rule checks and store the evaluation
+ * Shared by the character and location evaluation services
+ * @param {Object} generation - Result of generateCompletion for the evaluation template
+ * @param {Object} record - Evaluation record
+ * @param {string} record.entityType - "character" or "location"
+ * @param {number|string} record.entityId - Entity id; when set, the evaluation is stored in the evaluation history
+ * @param {string} record.templateName - Generation template the description belongs to
+ * @param {Object} record.promptData - Prompt data of the context the description was evaluated against
+ * @param {string} record.description - Evaluated description
+ * @param {Object} record.ruleChecks - Result of checkCharacterDescription or checkLocationDescription
+ * @param {string} record.model - Model that generated the description, if known
+ * @param {string} record.variant - Template variant that generated the description, if known
+ * @returns {Promise<Object>} Evaluation with the evaluator output, ruleChecks, disagreements and blendedScore,
+ *   plus evaluationId and attribution once stored
+ */
+export async function completeEvaluation(generation, { entityType, entityId, templateName, promptData, description, ruleChecks, model, variant }) {
+  const evaluation = {
+    ...generation.data,
+    model: generation.model,
+    description,
+    ruleChecks,
+    ...compareWithEvaluation(ruleChecks, generation.data),
+  };
+
+  if (evaluation.disagreements.length > 0) {
+    console.warn(`⚠️  Rule checks disagree with the LLM evaluator on ${evaluation.disagreements.map(d => d.check).join(', ')}`);
+  }
+
+  if (entityId !== undefined) {
+    const stored = await recordEvaluation({ entityType, entityId, templateName, promptData, description, model, variant, evaluation });
+    if (stored) {
+      evaluation.evaluationId = stored.id;
+      evaluation.attribution = {
+        templateName: stored.templateName,
+        model: stored.model,
+        variant: stored.variant,
+        promptHash: stored.promptHash,
+      };
+    }
+  }
+
+  return evaluation;
+}
+
+/**
+ * Validate and normalize analytics query parameters
+ * @param {Object} query - Query string values: template, model, variant, entityType, window, since, until
+ * @returns {Object} Normalized filters
+ * @throws {Error} If a value is invalid
+ */
+export function normalizeAnalyticsQuery(query = {}) {
+  const window = query.window || 'day';
+  if (!TREND_WINDOWS.includes(window)) {
+    throw new Error(`window must be one of ${TREND_WINDOWS.join(', ')}`);
+  }
+
+  if (query.entityType && !ENTITY_TYPES.includes(query.entityType)) {
+    throw new Error(`entityType must be one of ${ENTITY_TYPES.join(', ')}`);
+  }
+
+  const parseDate = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be an ISO date`);
+    }
+    return date;
+  };
+
+  return {
+    template: query.template || null,
+    model: query.model || null,
+    variant: query.variant || null,
+    entityType: query.entityType || null,
+    window,
+    since: parseDate(query.since, 'since'),
+    until: parseDate(query.until, 'until'),
+  };
+}
+
+/**
+ * Aggregate stored evaluations per generation template, model and variant
+ * @param {Object} filters - Filters from normalizeAnalyticsQuery
+ * @returns {Promise<Object>} { window, filters, total, groups } where each group has score
+ *   statistics with a 0-10 distribution, rule and blended score means, check, quality check and
+ *   rule check pass rates, rule/LLM disagreement rates per check, and a trend per window
+ */
+export async function getEvaluationAnalytics(filters) {
+  const { template, model, variant, entityType, window, since, until } = filters;
+
+  const where = `
+    ($1::text IS NULL OR template_name = $1)
+    AND ($2::text IS NULL OR COALESCE(model, '${UNKNOWN_MODEL}') = $2)
+    AND ($3::text IS NULL OR entity_type = $3)
+    AND ($4::timestamptz IS NULL OR created_at >= $4)
+    AND ($5::timestamptz IS NULL OR created_at < $5)
+    AND ($6::text IS NULL OR variant = $6)
+  `;
+  const params = [template, model, entityType, since, until, variant];
+  const groupColumns = `template_name, COALESCE(model, '${UNKNOWN_MODEL}') AS model, variant`;
+
+  const [summary, distribution, checks, disagreements, trend] = await Promise.all([
+    pool.query(`
+      SELECT ${groupColumns},
+        COUNT(*)::int AS count,
+        AVG(auto_score) AS mean,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY auto_score) AS median,
+        PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY auto_score) AS p90,
+        MIN(auto_score) AS min,
+        MAX(auto_score) AS max,
+        AVG(rule_score) AS rule_mean,
+        AVG(blended_score) AS blended_mean,
+        COUNT(blended_score)::int AS rule_checked_count,
+        MIN(created_at) AS first_evaluated_at,
+        MAX(created_at) AS last_evaluated_at
+      FROM evaluations
+      WHERE ${where}
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2, 3
+    `, params),
+    // Buckets [0, 1), [1, 2), ... [9, 10]
+    pool.query(`
+      SELECT ${groupColumns}, LEAST(FLOOR(auto_score)::int, 9) AS bucket, COUNT(*)::int AS count
+      FROM evaluations
+      WHERE ${where}
+      GROUP BY 1, 2, 3, 4
+    `, params),
+    pool.query(`
+      SELECT ${groupColumns}, c.kind, c.key,
+        AVG(CASE WHEN c.value = 'true'::jsonb THEN 1 ELSE 0 END) AS pass_rate
+      FROM evaluations e
+      CROSS JOIN LATERAL (
+        SELECT 'checks' AS kind, key, value FROM jsonb_each(e.checks)
+        UNION ALL
+        SELECT 'qualityChecks' AS kind, key, value FROM jsonb_each(e.quality_checks)
+        UNION ALL
+        -- Rule checks that did not apply are stored as null and left out of the pass rate
+        SELECT 'ruleChecks' AS kind, key, value FROM jsonb_each(e.rule_checks) WHERE value <> 'null'::jsonb
+      ) c
+      WHERE ${where}
+      GROUP BY 1, 2, 3, 4, 5
+      ORDER BY 5
+    `, params),
+    pool.query(`
+      SELECT ${groupColumns}, d->>'check' AS key, COUNT(*)::int AS count
+      FROM evaluations e
+      CROSS JOIN LATERAL jsonb_array_elements(e.disagreements) d
+      WHERE ${where}
+      GROUP BY 1, 2, 3, 4
+      ORDER BY 4
+    `, params),
+    pool.query(`
+      SELECT ${groupColumns}, DATE_TRUNC($7, created_at) AS window_start,
+        COUNT(*)::int AS count,
+        AVG(auto_score) AS mean
+      FROM evaluations
+      WHERE ${where}
+      GROUP BY 1, 2, 3, 4
+      ORDER BY 4
+    `, [...params, window]),
+  ]);
+
+  const groups = new Map();
+  const keyOf = row => `${row.template_name}\u0000${row.model}\u0000${row.variant}`;
+
+  for (const row of summary.rows) {
+    groups.set(keyOf(row), {
+      template: row.template_name,
+      model: row.model,
+      variant: row.variant,
+      count: row.count,
+      score: {
+        mean: round(row.mean),
+        median: round(row.median),
+        p90: round(row.p90),
+        min: round(row.min),
+        max: round(row.max),
+        distribution: Array.from({ length: 10 }, (_, bucket) => ({ min: bucket, max: bucket + 1, count: 0 })),
+      },
+      ruleScore: { mean: round(row.rule_mean) },
+      blendedScore: { mean: round(row.blended_mean) },
+      checks: {},
+      qualityChecks: {},
+      ruleChecks: {},
+      // Share of rule-checked evaluations where the rule and LLM verdicts differ
+      disagreements: {},
+      ruleCheckedCount: row.rule_checked_count,
+      trend: [],
+      firstEvaluatedAt: row.first_evaluated_at,
+      lastEvaluatedAt: row.last_evaluated_at,
+    });
+  }
+
+  for (const row of distribution.rows) {
+    groups.get(keyOf(row)).score.distribution[row.bucket].count = row.count;
+  }
+
+  for (const row of checks.rows) {
+    groups.get(keyOf(row))[row.kind][row.key] = round(row.pass_rate, 3);
+  }
+
+  for (const row of disagreements.rows) {
+    const group = groups.get(keyOf(row));
+    group.disagreements[row.key] = group.ruleCheckedCount > 0 ? round(row.count / group.ruleCheckedCount, 3) : null;
+  }
+
+  for (const row of trend.rows) {
+    groups.get(keyOf(row)).trend.push({
+      windowStart: row.window_start,
+      count: row.count,
+      meanScore: round(row.mean),
+    });
+  }
+
+  const results = Array.from(groups.values());
+
+  return {
+    window,
+    filters: { template, model, variant, entityType, since, until },
+    total: results.reduce((sum, group) => sum + group.count, 0),
+    groups: results,
+  };
+}
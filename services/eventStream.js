@@ -0,0 +1,61 @@
+/**
+ * Server-Sent Events helpers
+ * Used by generation endpoints that support opt-in streaming
+ */
+
+/**
+ * Check whether the client asked for a streamed response
+ * Streaming is enabled with `Accept: text/event-stream` or `?stream=1`
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the response should be streamed
+ */
+export function wantsEventStream(req) {
+  const streamParam = String(req.query.stream || '').toLowerCase();
+  if (streamParam === '1' || streamParam === 'true') {
+    return true;
+  }
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Open an SSE stream on an Express response
+ * Writes after the client disconnects are silently dropped. Disconnects are detected on the
+ * response: the request's 'close' event fires as soon as a request body has been read.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{send: Function, close: Function}} Stream handle
+ */
+export function openEventStream(req, res) {
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const isOpen = () => !closed && !res.writableEnded && !res.destroyed;
+
+  return {
+    /**
+     * Send a named event with a JSON payload
+     * @param {string} event - Event name (progress, delta, done, error)
+     * @param {Object} data - JSON-serializable payload
+     */
+    send(event, data) {
+      if (!isOpen()) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!isOpen()) return;
+      closed = true;
+      res.end();
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Persistent generation cache
+ * Stores LLM outputs in the `generations` table, keyed by entity ids, template name,
+ * model and a hash of the rendered prompt
+ */
+
+import { pool } from './db.js';
+
+/**
+ * Build the entity key for a set of entities
+ * @param {Array<string>} entities - Entity references like "character:1" or "location:3"
+ * @returns {string} Stable entity key (e.g. "character:1|character:2|location:3")
+ */
+export function buildEntityKey(entities) {
+  return entities.map(String).join('|');
+}
+
+/**
+ * Look up a cached generation that has not expired
+ * Cache failures (e.g. database unavailable) are logged and treated as a miss
+ * @param {Object} key - Cache key
+ * @param {string} key.entityKey - Entity key from buildEntityKey
+ * @param {string} key.templateName - Template configuration name
+ * @param {string} key.model - Model name
+ * @param {string} key.promptHash - Hash of the rendered prompt
+ * @returns {Promise<string|null>} Cached content or null on a miss
+ */
+export async function getCachedGeneration({ entityKey, templateName, model, promptHash }) {
+  try {
+    const result = await pool.query(`
+      SELECT content
+      FROM generations
+      WHERE entity_key = $1
+        AND template_name = $2
+        AND model = $3
+        AND prompt_hash = $4
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [entityKey, templateName, model, promptHash]);
+
+    return result.rows[0]?.content ?? null;
+  } catch (error) {
+    console.warn(`Generation cache lookup failed for "${templateName}" (${entityKey}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a generation in the cache, replacing any previous entry for the same key
+ * @param {Object} key - Cache key (see getCachedGeneration)
+ * @param {string} content - Generated content
+ * @param {number|null} ttlSeconds - Time to live in seconds, or null to never expire
+ * @returns {Promise<void>}
+ */
+export async function storeGeneration({ entityKey, templateName, model, promptHash }, content, ttlSeconds = null) {
+  try {
+    await pool.query(`
+      INSERT INTO generations (
+        entity_key, template_name, model, prompt_hash, content, created_at, expires_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, NOW(),
+        CASE WHEN $6::integer IS NULL THEN NULL ELSE NOW() + make_interval(secs => $6::integer) END
+      )
+      ON CONFLICT (entity_key, template_name, model, prompt_hash) DO UPDATE SET
+        content = EXCLUDED.content,
+        created_at = EXCLUDED.created_at,
+        expires_at = EXCLUDED.expires_at
+    `, [entityKey, templateName, model, promptHash, content, ttlSeconds]);
+  } catch (error) {
+    console.warn(`Generation cache store failed for "${templateName}" (${entityKey}):`, error.message);
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * Asynchronous jobs for long-running generations
+ * Jobs are persisted in the `jobs` table and run by a worker loop inside the server process,
+ * so a slow compatibility analysis does not have to fit in one HTTP request and queued jobs
+ * survive restarts. Running jobs refresh a heartbeat; jobs whose heartbeat goes stale (the
+ * process died mid-job) are requeued, up to JOB_MAX_ATTEMPTS attempts. Jobs that fail on a
+ * transient LLM or upstream error (rate limit, timeout, 5xx, connection failure) are requeued
+ * the same way.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ClientError } from 'graphql-request';
+import { pool } from './db.js';
+import { isRetryableError } from './llmRetry.js';
+import { buildLocationContext, generateLocationDescription } from './descriptionService.js';
+import { buildCharacterContext, generateCharacterDescription } from './characterDescriptionService.js';
+import { generateEpisodeDescription } from './episodeDescriptionService.js';
+import { generateCharacterInsights } from './characterInsightsService.js';
+import { generateCharacterCompatibility } from './characterCompatibilityService.js';
+import { evaluateLocationDescription } from './locationEvaluationService.js';
+import { evaluateCharacterDescription } from './characterEvaluationService.js';
+
+dotenv.config();
+
+const WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY || '2', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS || '10000', 10);
+const STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS || '60000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that a parameter is a positive integer id (number or numeric string)
+ * @throws {Error} If it is missing or not an id
+ */
+function requireId(params, name) {
+  const value = params[name];
+  if (!/^\d+$/.test(String(value ?? '')) || parseInt(value, 10) === 0) {
+    throw new Error(`params.${name} is required and must be a positive integer id`);
+  }
+}
+
+function requireEntityType(params, allowed) {
+  if (!allowed.includes(params.entityType)) {
+    throw new Error(`params.entityType must be one of ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Job types: `validate` checks params when the job is created, `run` does the work
+ * `run` receives the params and { onProgress } and resolves to the job result
+ */
+const JOB_TYPES = {
+  description: {
+    validate(params) {
+      requireEntityType(params, ['character', 'location', 'episode']);
+      requireId(params, 'id');
+    },
+    async run({ entityType, id, refresh = false }, { onProgress }) {
+      const options = { onProgress, refresh };
+      const result = entityType === 'character'
+        ? await generateCharacterDescription(id, options)
+        : entityType === 'location'
+          ? await generateLocationDescription(id, options)
+          : await generateEpisodeDescription(id, options);
+      return { description: result.description, cached: result.cached, model: result.model, variant: result.variant };
+    },
+  },
+
+  insights: {
+    validate(params) {
+      requireId(params, 'characterId');
+    },
+    async run({ characterId, refresh = false }, { onProgress }) {
+      const { insights, cached, model, variant } = await generateCharacterInsights(characterId, { onProgress, refresh });
+      return { insights, cached, model, variant };
+    },
+  },
+
+  compatibility: {
+    validate(params) {
+      requireId(params, 'character1Id');
+      requireId(params, 'character2Id');
+      requireId(params, 'locationId');
+    },
+    async run({ character1Id, character2Id, locationId, refresh = false }, { onProgress }) {
+      const { analysis, cached, model, variant } = await generateCharacterCompatibility(character1Id, character2Id, locationId, {
+        onProgress,
+        refresh,
+      });
+      return { analysis, cached, model, variant };
+    },
+  },
+
+  evaluation: {
+    validate(params) {
+      requireEntityType(params, ['character', 'location']);
+      requireId(params, 'id');
+      if (typeof params.description !== 'string' || params.description.trim().length === 0) {
+        throw new Error('params.description is required and must be a non-empty string');
+      }
+      for (const name of ['model', 'variant']) {
+        if (params[name] !== undefined && typeof params[name] !== 'string') {
+          throw new Error(`params.${name} must be a string`);
+        }
+      }
+    },
+    async run({ entityType, id, description, model, variant }, { onProgress }) {
+      if (entityType === 'character') {
+        const { characterData, locationData, promptData } = await buildCharacterContext(id, { onProgress });
+        onProgress('evaluating', 'Evaluating description');
+        const evaluation = await evaluateCharacterDescription(description, characterData, locationData, promptData, {
+          entityId: id,
+          model,
+          variant,
+        });
+        return { evaluation, context: { characterData, locationData, promptData } };
+      }
+
+      onProgress('fetching_data', 'Fetching location data');
+      const { locationData, promptData } = await buildLocationContext(id);
+      onProgress('evaluating', 'Evaluating description');
+      const evaluation = await evaluateLocationDescription(description, locationData, promptData, { entityId: id, model, variant });
+      return { evaluation, context: { locationData, promptData } };
+    },
+  },
+};
+
+/**
+ * Validate a job request
+ * @param {string} type - Job type
+ * @param {Object} params - Job parameters
+ * @returns {Object} Params to store
+ * @throws {Error} If the type is unknown or the params are invalid
+ */
+export function validateJobRequest(type, params = {}) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`type must be one of ${Object.keys(JOB_TYPES).join(', ')}`);
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('params must be an object');
+  }
+  JOB_TYPES[type].validate(params);
+  return params;
+}
+
+/**
+ * Check whether a string is a valid job id
+ */
+export function isJobId(id) {
+  return UUID_PATTERN.test(String(id));
+}
+
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    params: row.params,
+    status: row.status,
+    progress: row.progress,
+    result: row.result,
+    error: row.error,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+  };
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Job type (description, insights, compatibility or evaluation)
+ * @param {Object} params - Job parameters, already checked with validateJobRequest
+ * @returns {Promise<Object>} Queued job
+ */
+export async function createJob(type, params) {
+  const result = await pool.query(`
+    INSERT INTO jobs (id, type, params)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [crypto.randomUUID(), type, JSON.stringify(params)]);
+
+  // Wake the worker instead of waiting for its next poll
+  if (workerStarted) {
+    schedulePoll(0);
+  }
+
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * Get a job with its status, progress and result
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job or null if it does not exist
+ */
+export async function getJob(id) {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+}
+
+// Worker loop state
+let workerStarted = false;
+let polling = false;
+let pollTimer = null;
+let activeJobs = 0;
+let databaseReachable = true;
+
+function schedulePoll(delayMs) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, delayMs);
+}
+
+/**
+ * Requeue running jobs whose heartbeat went stale; fail them once they are out of attempts
+ */
+async function requeueStaleJobs() {
+  const result = await pool.query(`
+    UPDATE jobs SET
+      status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'queued' END,
+      error = CASE WHEN attempts >= $2 THEN 'Job was interrupted ' || attempts || ' times' ELSE error END,
+      completed_at = CASE WHEN attempts >= $2 THEN NOW() ELSE NULL END
+    WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1::float8 / 1000)
+    RETURNING id, status
+  `, [STALE_AFTER_MS, MAX_ATTEMPTS]);
+
+  for (const job of result.rows) {
+    console.warn(`⚠️  Job ${job.id} was interrupted, ${job.status === 'queued' ? 'requeued' : 'giving up'}`);
+  }
+}
+
+/**
+ * Claim the oldest queued job
+ * SKIP LOCKED lets several server processes share the queue without claiming the same job
+ */
+async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE jobs SET
+      status = 'running',
+      attempts = attempts + 1,
+      started_at = NOW(),
+      heartbeat_at = NOW(),
+      progress = NULL,
+      error = NULL
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued'
+      ORDER BY created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING id, type, params, attempts
+  `);
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether a job failed on a transient error worth another attempt: LLM rate limits,
+ * timeouts, 5xx and connection failures, and GraphQL 429 or 5xx responses
+ */
+function isTransientJobError(error) {
+  if (error instanceof ClientError) {
+    return isRetryableError({ status: error.response?.status });
+  }
+  return isRetryableError(error);
+}
+
+/**
+ * Run a claimed job and store its result or error
+ * Updates only apply while the job is still running this attempt, so a run that was declared
+ * stale and claimed again does not overwrite the newer attempt.
+ */
+async function runJob(job) {
+  console.log(`Running job ${job.id} (${job.type}, attempt ${job.attempts})`);
+
+  const heartbeat = setInterval(() => {
+    pool.query(
+      'UPDATE jobs SET heartbeat_at = NOW() WHERE id = $1 AND status = \'running\' AND attempts = $2',
+      [job.id, job.attempts]
+    ).catch(error => console.warn(`Heartbeat for job ${job.id} failed:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const onProgress = (stage, message) => {
+    pool.query(
+      'UPDATE jobs SET progress = $3, heartbeat_at = NOW() WHERE id = $1 AND status = \'running\' AND attempts = $2',
+      [job.id, job.attempts, JSON.stringify({ stage, message })]
+    ).catch(error => console.warn(`Progress update for job ${job.id} failed:`, error.message));
+  };
+
+  try {
+    const definition = JOB_TYPES[job.type];
+    if (!definition) {
+      throw new Error(`Unknown job type "${job.type}"`);
+    }
+
+    const result = await definition.run(job.params, { onProgress });
+
+    const update = await pool.query(`
+      UPDATE jobs SET status = 'completed', result = $3, progress = $4, completed_at = NOW()
+      WHERE id = $1 AND status = 'running' AND attempts = $2
+    `, [job.id, job.attempts, JSON.stringify(result), JSON.stringify({ stage: 'completed', message: 'Job completed' })]);
+    if (update.rowCount === 0) {
+      console.warn(`⚠️  Job ${job.id} (${job.type}) finished after it was requeued, result of attempt ${job.attempts} discarded`);
+      return;
+    }
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    // Transient errors requeue the job like an interrupted run, until it is out of attempts
+    const requeue = isTransientJobError(error) && job.attempts < MAX_ATTEMPTS;
+    if (requeue) {
+      console.warn(`⚠️  Job ${job.id} (${job.type}) hit a transient error on attempt ${job.attempts}, requeued:`, error.message);
+    } else {
+      console.error(`❌ Job ${job.id} (${job.type}) failed:`, error.message);
+    }
+    await pool.query(`
+      UPDATE jobs SET
+        status = CASE WHEN $4 THEN 'queued' ELSE 'failed' END,
+        error = $3,
+        completed_at = CASE WHEN $4 THEN NULL ELSE NOW() END
+      WHERE id = $1 AND status = 'running' AND attempts = $2
+    `, [job.id, job.attempts, error.message, requeue]).catch(dbError => {
+      console.error(`Could not record failure of job ${job.id}:`, dbError.message);
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * One pass of the worker loop: recover stale jobs, then claim jobs up to the concurrency limit
+ */
+async function poll() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    await requeueStaleJobs();
+
+    while (activeJobs < WORKER_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        schedulePoll(0);
+      });
+    }
+
+    if (!databaseReachable) {
+      console.log('✅ Job worker reconnected to the database');
+      databaseReachable = true;
+    }
+  } catch (error) {
+    // Logged once per outage; the loop keeps polling until the database is back
+    if (databaseReachable) {
+      console.warn('⚠️  Job worker cannot reach the database:', error.message);
+      databaseReachable = false;
+    }
+  } finally {
+    polling = false;
+    schedulePoll(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the worker loop (no-op if it is already running)
+ * Jobs are claimed up to JOB_WORKER_CONCURRENCY at a time, polling every JOB_POLL_INTERVAL_MS
+ */
+export function startJobWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+  console.log(`Job worker started (concurrency ${WORKER_CONCURRENCY})`);
+  schedulePoll(0);
+}
@@ -0,0 +1,162 @@
+/**
+ * Minimal JSON Schema validation for structured LLM outputs
+ * Supports the subset used by `output_schema` in config/llm-config.json:
+ * type, properties, required, additionalProperties (boolean), items, enum,
+ * minimum, maximum, minLength, maxLength, minItems, maxItems and description.
+ */
+
+const SUPPORTED_KEYWORDS = new Set([
+  'type', 'properties', 'required', 'additionalProperties', 'items', 'enum',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'description',
+]);
+
+const SUPPORTED_TYPES = new Set(['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']);
+
+/**
+ * Get the JSON Schema type of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Check that a schema only uses supported keywords and types
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the schema, used in error messages
+ * @returns {Array<string>} Errors (empty if the schema is usable)
+ */
+export function checkSchemaDefinition(schema, path = 'schema') {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+
+  for (const keyword of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) {
+      errors.push(`${path}: unsupported keyword "${keyword}"`);
+    }
+  }
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  for (const type of types) {
+    if (!SUPPORTED_TYPES.has(type)) {
+      errors.push(`${path}: unsupported type "${type}"`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (typeOf(schema.properties) !== 'object') {
+      errors.push(`${path}.properties must be an object`);
+    } else {
+      for (const [name, propertySchema] of Object.entries(schema.properties)) {
+        errors.push(...checkSchemaDefinition(propertySchema, `${path}.properties.${name}`));
+      }
+    }
+  }
+
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    errors.push(`${path}.required must be an array of strings`);
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    errors.push(`${path}.additionalProperties must be a boolean`);
+  }
+
+  if (schema.items !== undefined) {
+    errors.push(...checkSchemaDefinition(schema.items, `${path}.items`));
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    errors.push(`${path}.enum must be an array`);
+  }
+
+  for (const keyword of ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems']) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      errors.push(`${path}.${keyword} must be a number`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (see checkSchemaDefinition for the supported subset)
+ * @param {string} path - Location of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if the value is valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must have at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,212 @@
+/**
+ * LLM provider registry
+ * Maps the `provider` field of config/llm-config.json entries to chat completion clients.
+ * Every provider exposes `createChatCompletion(options, context)`, which accepts
+ * OpenAI-style completion options and resolves to an OpenAI-style response.
+ * `context.signal` is an AbortSignal that fires when the request times out.
+ */
+
+import OpenAI from 'openai';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_PROVIDER = 'groq';
+
+const providerFactories = new Map();
+const providerInstances = new Map();
+
+/**
+ * Register a provider factory under a name
+ * Factories are called lazily, so missing API keys only fail for providers that are used
+ * @param {string} name - Provider name referenced from llm-config.json
+ * @param {Function} factory - Function returning an object with createChatCompletion(options, context)
+ */
+export function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providerInstances.delete(name);
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (defaults to "groq")
+ * @returns {Object} Provider with createChatCompletion(options, context)
+ * @throws {Error} If no provider is registered under that name
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Registered providers: ${listProviders().join(', ')}`);
+    }
+    providerInstances.set(name, factory());
+  }
+  return providerInstances.get(name);
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return Array.from(providerFactories.keys());
+}
+
+/**
+ * Resolve the provider name to use, honoring the global LLM_PROVIDER_OVERRIDE
+ * (e.g. LLM_PROVIDER_OVERRIDE=fixture runs every template offline)
+ * @param {string|null} configuredProvider - Provider from config, if any
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(configuredProvider = null) {
+  return process.env.LLM_PROVIDER_OVERRIDE || configuredProvider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Wrap an OpenAI SDK client as a provider
+ */
+function createOpenAIProvider(name, clientOptions) {
+  // Retries and timeouts are handled by services/llmRetry.js
+  const client = new OpenAI({ ...clientOptions, maxRetries: 0 });
+  return {
+    name,
+    async createChatCompletion(options, context = {}) {
+      return client.chat.completions.create(options, { signal: context.signal });
+    },
+  };
+}
+
+/**
+ * Hash completion messages so fixtures can be keyed by the exact rendered prompt
+ * @param {Array} messages - Chat messages
+ * @returns {string} sha256 hex digest
+ */
+export function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+/**
+ * Flatten a chat message content (string or content parts) into plain text
+ */
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Look up a recorded response for this template and prompt
+ * Fixture files live at `${LLM_FIXTURES_DIR}/<template_name>.json` and map message
+ * hashes (see hashMessages) to response text, with an optional "default" entry.
+ */
+function findFixture(fixturesDir, templateName, messages) {
+  if (!fixturesDir || !templateName) return null;
+
+  const fixtureFile = path.join(fixturesDir, `${templateName}.json`);
+  if (!fs.existsSync(fixtureFile)) return null;
+
+  const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+  const recorded = fixtures[hashMessages(messages)] ?? fixtures.default;
+  if (recorded === undefined) return null;
+
+  return typeof recorded === 'string' ? recorded : JSON.stringify(recorded);
+}
+
+/**
+ * Replay fixture content as OpenAI-style stream chunks, one word at a time
+ * With usage set, a final chunk without choices reports it, as with stream_options.include_usage
+ */
+async function* streamFixtureContent(id, model, content, usage) {
+  const pieces = content.match(/\S+\s*|\s+/g) || [];
+  for (const piece of pieces) {
+    yield {
+      id,
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta: { content: piece }, finish_reason: null }],
+    };
+  }
+  yield {
+    id,
+    object: 'chat.completion.chunk',
+    model,
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+  };
+  if (usage) {
+    yield { id, object: 'chat.completion.chunk', model, choices: [], usage };
+  }
+}
+
+/**
+ * Estimate the token count of a text at about four characters per token
+ * Gives fixture runs usage figures that scale with prompt and response length
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Deterministic in-process provider for offline runs
+ * Returns a recorded fixture when one matches, otherwise echoes the last user message
+ */
+function createFixtureProvider() {
+  const fixturesDir = process.env.LLM_FIXTURES_DIR
+    ? path.resolve(process.env.LLM_FIXTURES_DIR)
+    : null;
+
+  return {
+    name: 'fixture',
+    async createChatCompletion(options, context = {}) {
+      const messages = options.messages || [];
+      const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+      const content = findFixture(fixturesDir, context.templateName, messages)
+        ?? `[fixture:${options.model}] ${messageText(lastUserMessage)}`;
+      const id = `fixture-${hashMessages(messages).slice(0, 12)}`;
+
+      const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(messageText(message)), 0);
+      const completionTokens = estimateTokens(content);
+      const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      };
+
+      if (options.stream) {
+        return streamFixtureContent(id, options.model, content, options.stream_options?.include_usage ? usage : null);
+      }
+
+      return {
+        id,
+        object: 'chat.completion',
+        model: options.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: 'stop',
+          },
+        ],
+        usage,
+      };
+    },
+  };
+}
+
+registerProvider('groq', () => createOpenAIProvider('groq', {
+  apiKey: process.env.GROQ_API_KEY || process.env.LLM_API_KEY,
+  baseURL: 'https://api.groq.com/openai/v1',
+}));
+
+// Any OpenAI-compatible endpoint, e.g. a local llama.cpp server or Ollama
+registerProvider('openai-compatible', () => createOpenAIProvider('openai-compatible', {
+  apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+  baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+}));
+
+registerProvider('fixture', createFixtureProvider);
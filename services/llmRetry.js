@@ -0,0 +1,141 @@
+/**
+ * Retry, backoff and timeout helpers for LLM and vision calls
+ * Rate limits (429), server errors (5xx), timeouts and connection failures are retried
+ * with exponential backoff and full jitter; a Retry-After header from the provider wins
+ * over the computed delay.
+ */
+
+import dotenv from 'dotenv';
+import { DEFAULT_MAX_RETRIES, DEFAULT_TIMEOUT_MS } from '../config/llmDefaults.js';
+
+dotenv.config();
+
+const BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500', 10);
+const MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '20000', 10);
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+/**
+ * Check whether an error is worth retrying (and, once retries run out, worth a fallback model)
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error?.code === 'LLM_TIMEOUT') return true;
+  const status = error?.status;
+  if (typeof status === 'number') {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+  // No HTTP status: connection refused/reset, DNS failures and SDK connection errors
+  return error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError' ||
+    ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error?.code ?? error?.cause?.code);
+}
+
+/**
+ * Read a header from an SDK error (Headers instance or plain object)
+ */
+function getHeader(error, name) {
+  const headers = error?.headers;
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+/**
+ * Delay requested by the provider through retry-after-ms or Retry-After (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if the provider did not send one
+ */
+function getRetryAfterMs(error) {
+  const retryAfterMs = parseFloat(getHeader(error, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+  const retryAfter = getHeader(error, 'retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute the wait before the next attempt
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of the failed attempt (0-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(error, attempt) {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a call with a timeout
+ * The call receives an AbortSignal that is aborted when the timeout fires
+ * @param {Function} fn - Function (signal) => Promise
+ * @param {number|null} timeoutMs - Timeout in milliseconds (null or 0 disables it)
+ * @param {string} label - Label used in the timeout error
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} With code "LLM_TIMEOUT" if the timeout fires first
+ */
+export async function withTimeout(fn, timeoutMs, label) {
+  if (!timeoutMs) {
+    return fn(undefined);
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a call with retries and a per-attempt timeout
+ * @param {Function} fn - Function (signal, attempt) => Promise
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number|null} options.timeoutMs - Timeout per attempt
+ * @param {string} options.label - Label used in logs and errors
+ * @param {Function} options.shouldRetry - Called with the error; return false to stop retrying (default: isRetryableError)
+ * @param {Object} options.rateLimiter - Rate limiter (services/rateLimiter.js) to acquire before every attempt;
+ *   waiting for it does not count against the timeout
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, { maxRetries = DEFAULT_MAX_RETRIES, timeoutMs = DEFAULT_TIMEOUT_MS, label = 'LLM call', shouldRetry = isRetryableError, rateLimiter = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (rateLimiter) {
+        await rateLimiter.acquire();
+      }
+      return await withTimeout(signal => fn(signal, attempt), timeoutMs, label);
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delayMs = getRetryDelayMs(error, attempt);
+      console.warn(`⚠️  ${label} failed (${error.status || error.code || error.message}), retrying in ${delayMs}ms (${attempt + 1}/${maxRetries})`);
+      await sleep(delayMs);
+    }
+  }
+}
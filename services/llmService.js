@@ -1,89 +1,360 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
-import { renderPrompt as renderLocationPrompt } from '../prompts/locationDescription.js';
-import { renderPrompt as renderCharacterPrompt } from '../prompts/characterDescription.js';
-import { renderPrompt as renderLocationEvaluationPrompt } from '../prompts/locationEvaluation.js';
-import { renderPrompt as renderQueryExpansionPrompt } from '../prompts/queryExpansion.js';
+import { renderPrompt } from '../prompts/index.js';
 import {
   getModelForTemplate,
   getTemperatureForTemplate,
+  getMaxTokensForTemplate,
   getSystemPromptTemplate,
   getUserPromptTemplate,
-  getPromptRenderer,
+  getProviderForTemplate,
+  getCacheTtlForTemplate,
+  getOutputSchemaForTemplate,
+  getOutputRepairAttemptsForTemplate,
+  getFallbackModelsForTemplate,
+  getMaxRetriesForTemplate,
+  getTimeoutForTemplate,
+  resolveTemplateVariant,
 } from '../config/configLoader.js';
+import { getProvider, resolveProviderName, hashMessages } from './llmProviders.js';
+import { buildEntityKey, getCachedGeneration, storeGeneration } from './generationCache.js';
+import { validateAgainstSchema } from './jsonSchema.js';
+import { withRetry, isRetryableError } from './llmRetry.js';
 
 dotenv.config();
 
-// Initialize Groq client (Groq uses OpenAI-compatible API)
-const groqClient = new OpenAI({
-  apiKey: process.env.GROQ_API_KEY || process.env.LLM_API_KEY,
-  baseURL: 'https://api.groq.com/openai/v1',
-});
-
 /**
- * Generate text using Grok/Groq LLM based on template configuration
+ * Generate text using the LLM provider configured for the template
+ * Templates with an `output_schema` return the validated object instead of text
  * @param {string} templateConfigName - Name of the template configuration from llm-config.json
  * @param {Object} promptData - Data object to pass to the user prompt template
- * @returns {Promise<string>} Generated text
+ * @param {Object} options - Generation options (see generateCompletion)
+ * @returns {Promise<string|Object>} Generated text, or the parsed object for structured templates
  */
-export async function generateWithLLM(templateConfigName, promptData = {}) {
-  // Get configuration from config/llm-config.json
-  const model = getModelForTemplate(templateConfigName);
-  const temperature = getTemperatureForTemplate(templateConfigName);
+export async function generateWithLLM(templateConfigName, promptData = {}, options = {}) {
+  const result = await generateCompletion(templateConfigName, promptData, options);
+  return result.data ?? result.text;
+}
+
+/**
+ * Render the system and user prompts of a template into chat messages
+ * Templates are discovered from prompts/ and rendered strictly: a missing variable throws
+ */
+function renderMessages(templateConfigName, promptData) {
   const systemPromptTemplate = getSystemPromptTemplate(templateConfigName);
   const userPromptTemplate = getUserPromptTemplate(templateConfigName);
 
-  // Get prompt renderer from config
-  const promptRendererName = getPromptRenderer(templateConfigName);
-  
-  // Map renderer name to actual renderer function
-  const rendererMap = {
-    'location': renderLocationPrompt,
-    'character': renderCharacterPrompt,
-    'locationEvaluation': renderLocationEvaluationPrompt,
-    'queryExpansion': renderQueryExpansionPrompt,
-  };
-  
-  const renderPrompt = rendererMap[promptRendererName] || renderLocationPrompt;
-  
-  if (!rendererMap[promptRendererName]) {
-    console.warn(`Unknown prompt renderer "${promptRendererName}" for template "${templateConfigName}", using default location renderer`);
-  }
-  
   // Get prompts from template files
   if (!systemPromptTemplate || !userPromptTemplate) {
     throw new Error(`Missing prompt templates for "${templateConfigName}". Both system_prompt and user_prompt must be specified in config.`);
   }
-  
-  const systemPrompt = renderPrompt(systemPromptTemplate, promptData);
-  const userPrompt = renderPrompt(userPromptTemplate, promptData);
-  
-  if (!systemPrompt || !userPrompt) {
-    throw new Error(`Failed to render prompts for "${templateConfigName}". Check that the prompt template names are correct.`);
+
+  return [
+    {
+      role: 'system',
+      content: renderPrompt(systemPromptTemplate, promptData),
+    },
+    {
+      role: 'user',
+      content: renderPrompt(userPromptTemplate, promptData),
+    },
+  ];
+}
+
+/**
+ * Hash the rendered prompt of a template without calling the LLM
+ * Matches the `promptHash` generateCompletion reports for the same template and prompt data
+ * @param {string} templateConfigName - Name of the template configuration from llm-config.json, optionally with "@variant"
+ * @param {Object} promptData - Data object to pass to the user prompt template
+ * @returns {string} Prompt hash
+ */
+export function hashTemplatePrompt(templateConfigName, promptData = {}) {
+  return hashMessages(renderMessages(templateConfigName, promptData));
+}
+
+/**
+ * Generate text and return it with generation metadata
+ * @param {string} templateConfigName - Name of the template configuration from llm-config.json; a name
+ *   qualified with "@variant" serves that variant instead of assigning one
+ * @param {Object} promptData - Data object to pass to the user prompt template
+ * @param {Object} options - Generation options
+ * @param {Function} options.onDelta - Called with each text delta; enables streaming when set
+ * @param {Array<string>} options.cacheEntities - Entity references (e.g. ["character:1"]); enables the generation cache when set
+ * @param {boolean} options.refresh - Bypass cached generations and overwrite them
+ * @param {string} options.clientId - Client id, used for sticky variant assignment
+ * @returns {Promise<{text: string, data: Object|null, model: string, provider: string, requestedModel: string, promptHash: string, variant: string|null, usage: Object|null, cached: boolean}>}
+ *   `data` holds the parsed output for templates with an `output_schema`; `model` and `provider`
+ *   are the ones that answered, which differ from `requestedModel` when a fallback model was used;
+ *   `variant` is the template variant that was served (null for templates without variants);
+ *   `usage` is { promptTokens, completionTokens, totalTokens } summed over every request made,
+ *   including repairs, or null for cached generations and providers that do not report it
+ * @throws {Error} If a structured output still fails validation after the repair attempts
+ */
+export async function generateCompletion(templateConfigName, promptData = {}, options = {}) {
+  const entityKey = options.cacheEntities ? buildEntityKey(options.cacheEntities) : null;
+
+  // Pick the variant to serve; configName is the template name qualified with the variant
+  const { variant, configName } = resolveTemplateVariant(templateConfigName, { entityKey, clientId: options.clientId });
+
+  // Get configuration from config/llm-config.json
+  const model = getModelForTemplate(configName);
+  const temperature = getTemperatureForTemplate(configName);
+  const maxTokens = getMaxTokensForTemplate(configName);
+  const providerName = resolveProviderName(getProviderForTemplate(configName));
+  const outputSchema = getOutputSchemaForTemplate(configName);
+
+  const messages = renderMessages(configName, promptData);
+  const promptHash = hashMessages(messages);
+  const ttlSeconds = getCacheTtlForTemplate(configName);
+  // Cached under the qualified name, so variants that differ only in temperature do not share entries
+  const cacheKey = entityKey && ttlSeconds !== 0
+    ? { entityKey, templateName: configName, model, promptHash }
+    : null;
+  const metadata = { model, provider: providerName, requestedModel: model, promptHash, variant };
+
+  if (cacheKey && !options.refresh) {
+    const cachedText = await getCachedGeneration(cacheKey);
+    const cachedOutput = cachedText !== null && outputSchema ? parseStructuredOutput(cachedText, outputSchema) : null;
+    if (cachedText !== null && !cachedOutput?.errors.length) {
+      console.log(`Generation cache hit for "${templateConfigName}" (${cacheKey.entityKey})`);
+      if (options.onDelta) {
+        options.onDelta(cachedText);
+      }
+      return { text: cachedText, data: cachedOutput?.data ?? null, ...metadata, usage: null, cached: true };
+    }
+  }
+
+  // Fixtures and log labels use the base template name, shared by all of its variants
+  const context = { templateName: configName.split('@')[0] };
+  const completionOptions = {
+    model: model,
+    messages,
+    temperature: temperature,
+  };
+  if (maxTokens !== null) {
+    completionOptions.max_tokens = maxTokens;
   }
+  if (outputSchema) {
+    completionOptions.response_format = { type: 'json_object' };
+  }
+  const retryOptions = {
+    maxRetries: getMaxRetriesForTemplate(configName),
+    timeoutMs: getTimeoutForTemplate(configName),
+  };
+  const candidates = [
+    { provider: providerName, model },
+    ...getFallbackModelsForTemplate(configName).map(fallback => resolveFallbackModel(fallback, providerName)),
+  ];
 
+  let answered;
+  let text;
+  let data = null;
+  let usage;
   try {
-    const completionOptions = {
-      model: model,
-      messages: [
+    answered = await requestWithFallback(candidates, completionOptions, context, retryOptions, options.onDelta);
+    ({ text, usage } = answered);
+
+    if (outputSchema) {
+      ({ text, data, usage } = await resolveStructuredOutput(
+        getProvider(answered.provider),
+        { ...completionOptions, model: answered.model },
+        context,
+        { text, usage },
         {
-          role: 'system',
-          content: systemPrompt,
-        },
+          schema: outputSchema,
+          maxRepairAttempts: getOutputRepairAttemptsForTemplate(configName),
+          retryOptions,
+        }
+      ));
+    }
+  } catch (error) {
+    console.error(`${answered?.provider || providerName} API error (${answered?.model || model}):`, error);
+    throw error;
+  }
+
+  // Stored under the model that answered, so a fallback answer is not served for the primary model
+  if (cacheKey) {
+    await storeGeneration({ ...cacheKey, model: answered.model }, text, ttlSeconds);
+  }
+
+  return { text, data, ...metadata, model: answered.model, provider: answered.provider, usage, cached: false };
+}
+
+/**
+ * Normalize an OpenAI-style usage object, or return null if the provider did not report one
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Add two normalized usages; null (unreported) usage counts as nothing
+ */
+function addUsage(total, usage) {
+  if (!total || !usage) return total || usage;
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens,
+  };
+}
+
+/**
+ * Normalize a fallback_models entry to { provider, model }
+ * Plain model names use the template's provider
+ */
+function resolveFallbackModel(fallback, providerName) {
+  if (typeof fallback === 'string') {
+    return { provider: providerName, model: fallback };
+  }
+  return { provider: resolveProviderName(fallback.provider || providerName), model: fallback.model };
+}
+
+/**
+ * Request a completion from the first candidate model that answers
+ * Each candidate is retried with backoff; the next one is only tried when the failure is retryable
+ * (rate limit, server error, timeout). Once streamed text has reached the client, nothing is retried.
+ * @returns {Promise<{text: string, usage: Object|null, provider: string, model: string}>}
+ */
+async function requestWithFallback(candidates, completionOptions, context, retryOptions, onDelta) {
+  for (const [index, candidate] of candidates.entries()) {
+    let streamed = false;
+    const onCandidateDelta = onDelta && ((delta) => {
+      streamed = true;
+      onDelta(delta);
+    });
+
+    try {
+      const completion = await withRetry(
+        (signal) => requestCompletion(
+          getProvider(candidate.provider),
+          { ...completionOptions, model: candidate.model },
+          { ...context, signal },
+          onCandidateDelta
+        ),
         {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
-      temperature: temperature,
-    };
+          ...retryOptions,
+          label: `${candidate.provider} ${candidate.model} ("${context.templateName}")`,
+          shouldRetry: (error) => !streamed && isRetryableError(error),
+        }
+      );
+      if (index > 0) {
+        console.warn(`⚠️  "${context.templateName}" answered by fallback model ${candidate.model}`);
+      }
+      return { ...completion, ...candidate };
+    } catch (error) {
+      const next = candidates[index + 1];
+      if (streamed || !next || !isRetryableError(error)) {
+        throw error;
+      }
+      console.warn(`⚠️  ${candidate.model} unavailable for "${context.templateName}" (${error.status || error.code || error.message}), falling back to ${next.model}`);
+    }
+  }
+}
+
+/**
+ * Request one completion, streaming deltas to onDelta when it is set
+ * Streams ask for usage with stream_options.include_usage; the provider then sends it in a
+ * final chunk without choices
+ * @returns {Promise<{text: string, usage: Object|null}>} Completion text and token usage
+ */
+async function requestCompletion(provider, completionOptions, context, onDelta) {
+  if (onDelta) {
+    const stream = await provider.createChatCompletion(
+      { ...completionOptions, stream: true, stream_options: { include_usage: true } },
+      context
+    );
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      usage = normalizeUsage(chunk.usage) || usage;
+    }
+    return { text: content.trim(), usage };
+  }
 
-    const response = await groqClient.chat.completions.create(completionOptions);
+  const response = await provider.createChatCompletion(completionOptions, context);
+  return { text: response.choices[0].message.content.trim(), usage: normalizeUsage(response.usage) };
+}
 
-    return response.choices[0].message.content.trim();
+/**
+ * Parse a JSON response and validate it against the schema
+ * Markdown code fences and text around the outermost JSON object are tolerated
+ * @param {string} text - Raw model output
+ * @param {Object} schema - JSON schema
+ * @returns {{data: Object|null, errors: Array<string>}}
+ */
+export function parseStructuredOutput(text, schema) {
+  const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+
+  let data;
+  try {
+    data = JSON.parse(unfenced);
   } catch (error) {
-    console.error(`Groq API error (${model}):`, error);
-    throw error;
+    if (start === -1 || end <= start) {
+      return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+    try {
+      data = JSON.parse(unfenced.slice(start, end + 1));
+    } catch (innerError) {
+      return { data: null, errors: [`Response is not valid JSON: ${innerError.message}`] };
+    }
   }
+
+  const errors = validateAgainstSchema(data, schema);
+  return { data: errors.length ? null : data, errors };
 }
 
+/**
+ * Validate a structured output, asking the model to repair it until it matches the schema
+ * Repair requests are not streamed; their token usage is added to the initial completion's
+ * @returns {Promise<{text: string, data: Object, usage: Object|null}>} Normalized JSON text, the parsed object and total usage
+ * @throws {Error} If the output is still invalid after maxRepairAttempts
+ */
+async function resolveStructuredOutput(provider, completionOptions, context, completion, { schema, maxRepairAttempts, retryOptions }) {
+  let conversation = completionOptions.messages;
+  let currentText = completion.text;
+  let usage = completion.usage;
+
+  for (let attempt = 0; ; attempt++) {
+    const { data, errors } = parseStructuredOutput(currentText, schema);
+    if (!errors.length) {
+      return { text: JSON.stringify(data), data, usage };
+    }
+
+    if (attempt >= maxRepairAttempts) {
+      throw new Error(`Output for "${context.templateName}" does not match its schema after ${attempt} repair attempt(s): ${errors.join('; ')}`);
+    }
+
+    console.warn(`Invalid structured output for "${context.templateName}" (repair ${attempt + 1}/${maxRepairAttempts}): ${errors.join('; ')}`);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: currentText },
+      {
+        role: 'user',
+        content: renderPrompt('structuredOutput.repair', {
+          errors: errors.slice(0, 20),
+          schema: JSON.stringify(schema, null, 2),
+        }),
+      },
+    ];
+    const repair = await withRetry(
+      (signal) => requestCompletion(provider, { ...completionOptions, messages: conversation }, { ...context, signal }),
+      { ...retryOptions, label: `${provider.name || 'LLM'} ${completionOptions.model} repair ("${context.templateName}")` }
+    );
+    currentText = repair.text;
+    usage = addUsage(usage, repair.usage);
+  }
+}
@@ -3,76 +3,54 @@
  * Uses LLM to evaluate description quality and accuracy
  */
 
-import { generateWithLLM } from './llmService.js';
+import { generateCompletion } from './llmService.js';
+import { completeEvaluation } from './evaluationHistoryService.js';
+import { checkLocationDescription, knownValue } from './descriptionRuleChecks.js';
 
-export async function evaluateLocationDescription(description, locationData, promptData) {
+// Generation template the evaluated descriptions belong to, recorded with each evaluation
+const GENERATION_TEMPLATE_NAME = 'location_description_generation';
+
+/**
+ * Evaluate a location description against the context it should be based on
+ * @param {string} description - Description to evaluate
+ * @param {Object} locationData - Location data from buildLocationContext
+ * @param {Object} promptData - Prompt data from buildLocationContext
+ * @param {Object} options - Evaluation options
+ * @param {number|string} options.entityId - Location id; when set, the evaluation is stored in the evaluation history
+ * @param {string} options.model - Model that generated the description, if known
+ * @param {string} options.variant - Template variant that generated the description, if known
+ * @returns {Promise<Object>} Evaluation with checks, quality checks, autoScore and explanation, plus the
+ *   deterministic ruleChecks, their disagreements with the LLM checks and the blendedScore
+ */
+export async function evaluateLocationDescription(description, locationData, promptData, options = {}) {
   // Prepare evaluation prompt data
   const evaluationPromptData = {
     locationName: locationData.name || 'Unknown',
-    locationType: locationData.type || 'Unknown',
-    locationDimension: locationData.dimension || 'Unknown',
-    locationTypeNote: (!locationData.type || locationData.type === 'Unknown') ? ' (may be "Unknown")' : '',
-    dimensionNote: (!locationData.dimension || locationData.dimension === 'Unknown') ? ' (may be "Unknown")' : '',
+    locationType: knownValue(locationData.type),
+    locationDimension: knownValue(locationData.dimension),
     totalResidentCount: promptData?.totalResidentCount ?? 0,
     description: description,
   };
 
+  // Deterministic checks run first; they do not depend on the evaluator
+  const ruleChecks = checkLocationDescription(description, locationData, promptData);
+
   try {
-    // Use LLM to evaluate the description
-    const evaluationText = await generateWithLLM('location_description_evaluation', evaluationPromptData);
+    // Use LLM to evaluate the description; the output is validated against the template's output_schema
+    const generation = await generateCompletion('location_description_evaluation', evaluationPromptData);
 
-    // Parse the JSON response
-    const evaluation = parseEvaluationResponse(evaluationText);
-    
-    return {
-      ...evaluation,
-      locationData,
+    return await completeEvaluation(generation, {
+      entityType: 'location',
+      entityId: options.entityId,
+      templateName: GENERATION_TEMPLATE_NAME,
       promptData,
       description,
-    };
+      ruleChecks,
+      model: options.model,
+      variant: options.variant,
+    });
   } catch (error) {
     console.error('LLM evaluation failed:', error);
     throw error;
   }
 }
-
-function parseEvaluationResponse(evaluationText) {
-  // Try to parse JSON from the response
-  let cleanedText = evaluationText.trim();
-
-  try {
-    const parsed = JSON.parse(cleanedText);
-    console.log('Successfully parsed entire text as JSON');
-    return formatEvaluationResult(parsed);
-  } catch (e) {
-    throw new Error('Failed to parse evaluation response');
-  }
-}
-
-/**
- * Format parsed evaluation result with required fields
- * @param {Object} parsed - Parsed JSON object
- * @returns {Object} Formatted evaluation result
- */
-function formatEvaluationResult(parsed) {
-  const result = {
-    checks: parsed.checks || {},
-    qualityChecks: parsed.qualityChecks || {},
-    autoScore: parsed.autoScore !== undefined ? parsed.autoScore : 0,
-    explanation: parsed.explanation || 'No explanation provided',
-  };
-  
-  // Ensure all required fields exist
-  if (!result.checks.nameMentioned && result.checks.nameMentioned !== false) {
-    result.checks.nameMentioned = false;
-  }
-  if (!result.checks.typeMentioned && result.checks.typeMentioned !== false) {
-    result.checks.typeMentioned = false;
-  }
-  if (!result.checks.dimensionMentioned && result.checks.dimensionMentioned !== false) {
-    result.checks.dimensionMentioned = false;
-  }
-  
-  return result;
-}
-
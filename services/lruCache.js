@@ -0,0 +1,53 @@
+/**
+ * Small in-memory LRU cache with per-entry TTL
+ */
+
+/**
+ * Create an LRU cache
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Maximum number of entries before the least recently used is evicted
+ * @param {number} options.ttlMs - Time to live for each entry in milliseconds
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function, size: Function}} Cache
+ */
+export function createLruCache({ maxEntries = 1000, ttlMs = 10 * 60 * 1000 } = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Move to the most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Token-bucket rate limiters, one per upstream API
+ * Every caller of an upstream in the same process shares its bucket, so concurrent workers and
+ * requests stay under the upstream's rate limit instead of running into 429s. Buckets live in
+ * memory: the server and a separate sync-data run each get their own, so lower the rates when
+ * both run against the same upstream keys at once.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Requests per minute and burst size per upstream
+ * A rate of 0 disables limiting for that upstream
+ */
+const UPSTREAM_LIMITS = {
+  vision: {
+    requestsPerMinute: parseFloat(process.env.RATE_LIMIT_VISION_RPM || '30'),
+    burst: parseInt(process.env.RATE_LIMIT_VISION_BURST || '1', 10),
+  },
+  embeddings: {
+    requestsPerMinute: parseFloat(process.env.RATE_LIMIT_EMBEDDINGS_RPM || '1500'),
+    burst: parseInt(process.env.RATE_LIMIT_EMBEDDINGS_BURST || '10', 10),
+  },
+  graphql: {
+    requestsPerMinute: parseFloat(process.env.RATE_LIMIT_GRAPHQL_RPM || '600'),
+    burst: parseInt(process.env.RATE_LIMIT_GRAPHQL_BURST || '5', 10),
+  },
+};
+
+const limiters = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a token bucket
+ * Tokens refill continuously at requestsPerMinute / 60 per second, up to `burst` tokens.
+ * Callers are served in the order they called acquire().
+ * @param {Object} options - Bucket options
+ * @param {string} options.name - Name used in stats
+ * @param {number} options.requestsPerMinute - Sustained rate (0 disables limiting)
+ * @param {number} options.burst - Bucket capacity (requests allowed back to back)
+ * @returns {{name: string, acquire: Function, stats: Function}} Rate limiter
+ */
+export function createTokenBucket({ name, requestsPerMinute, burst = 1 }) {
+  const enabled = requestsPerMinute > 0;
+  const capacity = Math.max(1, burst);
+  const tokensPerMs = requestsPerMinute / 60000;
+
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+  let acquired = 0;
+  let waitedMs = 0;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - lastRefill) * tokensPerMs);
+    lastRefill = now;
+  }
+
+  async function take() {
+    refill();
+    if (tokens < 1) {
+      const waitMs = Math.ceil((1 - tokens) / tokensPerMs);
+      waitedMs += waitMs;
+      await sleep(waitMs);
+      refill();
+    }
+    tokens -= 1;
+    acquired++;
+  }
+
+  return {
+    name,
+
+    /**
+     * Wait for a token
+     * @returns {Promise<void>} Resolves when the caller may send its request
+     */
+    acquire() {
+      if (!enabled) {
+        acquired++;
+        return Promise.resolve();
+      }
+      const turn = queue.then(take);
+      queue = turn;
+      return turn;
+    },
+
+    /**
+     * Usage counters
+     * @returns {{name: string, requestsPerMinute: number, acquired: number, waitedMs: number}}
+     */
+    stats() {
+      return { name, requestsPerMinute: enabled ? requestsPerMinute : null, acquired, waitedMs };
+    },
+  };
+}
+
+/**
+ * Get the shared rate limiter of an upstream
+ * @param {string} upstream - "vision", "embeddings" or "graphql"
+ * @returns {Object} Rate limiter (see createTokenBucket)
+ * @throws {Error} If the upstream is unknown
+ */
+export function getRateLimiter(upstream) {
+  if (!limiters.has(upstream)) {
+    const limits = UPSTREAM_LIMITS[upstream];
+    if (!limits) {
+      throw new Error(`Unknown upstream "${upstream}". Known upstreams: ${Object.keys(UPSTREAM_LIMITS).join(', ')}`);
+    }
+    limiters.set(upstream, createTokenBucket({ name: upstream, ...limits }));
+  }
+  return limiters.get(upstream);
+}
+
+/**
+ * Usage counters of every limiter created so far
+ * @returns {Array<Object>} Stats per upstream
+ */
+export function getRateLimiterStats() {
+  return [...limiters.values()].map(limiter => limiter.stats());
+}
@@ -0,0 +1,206 @@
+/**
+ * Relationship queries
+ * Answers structural questions (episode casts, location residents, character appearances and
+ * origins) from the character_episodes, character_origin and location_residents tables
+ * populated by sync-data, without calling the GraphQL API.
+ */
+
+import { pool } from './db.js';
+
+const EPISODE_CODE_PATTERN = /^S\d{2}E\d{2}$/i;
+
+// Location names: up to 100 printable characters with at least one letter, no surrounding whitespace
+const LOCATION_NAME_PATTERN = /^(?=.*\p{L})[^\s\p{C}](?:[^\p{C}]{0,98}[^\s\p{C}])?$/u;
+
+/**
+ * Check whether a value is a location id or a well-formed location name
+ * @param {string} value - Route parameter
+ * @returns {boolean}
+ */
+export function isLocationKey(value) {
+  const key = String(value);
+  return (/^\d+$/.test(key) && parseInt(key, 10) > 0) || LOCATION_NAME_PATTERN.test(key);
+}
+
+/**
+ * Find a synced entity by id or by an alternative key
+ * @param {string} entityType - Entity type in the `entities` table
+ * @param {string|number} idOrKey - Numeric id, or the alternative key
+ * @param {string} keyCondition - SQL condition on `e` matching the alternative key as $2
+ * @returns {Promise<Object|null>} entities row or null
+ */
+async function findEntity(entityType, idOrKey, keyCondition) {
+  const value = String(idOrKey).trim();
+  const isId = /^\d+$/.test(value);
+
+  const result = await pool.query(`
+    SELECT e.id, e.name, e.location_type, e.dimension, e.episode_code, e.air_date
+    FROM entities e
+    WHERE e.entity_type = $1 AND ${isId ? 'e.id = $2::int' : keyCondition}
+    ORDER BY e.id
+    LIMIT 1
+  `, [entityType, value]);
+
+  return result.rows[0] || null;
+}
+
+function characterSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    species: row.species,
+    gender: row.gender,
+    image: row.image,
+  };
+}
+
+/**
+ * Characters who appear in an episode
+ * @param {string|number} episode - Episode id or code (e.g. "S02E03")
+ * @returns {Promise<Object|null>} { episode, characters } or null if the episode has not been synced
+ */
+export async function getEpisodeCharacters(episode) {
+  if (!/^\d+$/.test(String(episode).trim()) && !EPISODE_CODE_PATTERN.test(String(episode).trim())) {
+    throw new Error('Episode must be an id or an episode code like "S02E03"');
+  }
+
+  const row = await findEntity('episode', episode, 'upper(e.episode_code) = upper($2)');
+  if (!row) return null;
+
+  const characters = await pool.query(`
+    SELECT c.id, c.name, c.status, c.species, c.gender, c.image
+    FROM character_episodes ce
+    JOIN entities c ON c.id = ce.character_id AND c.entity_type = 'character'
+    WHERE ce.episode_id = $1
+    ORDER BY c.id
+  `, [row.id]);
+
+  return {
+    episode: { id: row.id, name: row.name, episode: row.episode_code, airDate: row.air_date },
+    characters: characters.rows.map(characterSummary),
+  };
+}
+
+/**
+ * Residents of a location
+ * @param {string|number} location - Location id or exact name (case-insensitive, e.g. "Citadel of Ricks")
+ * @returns {Promise<Object|null>} { location, residents } or null if the location has not been synced
+ */
+export async function getLocationResidents(location) {
+  if (!isLocationKey(location)) {
+    throw new Error('Location must be an id or a location name');
+  }
+
+  const row = await findEntity('location', location, 'lower(e.name) = lower($2)');
+  if (!row) return null;
+
+  const residents = await pool.query(`
+    SELECT c.id, c.name, c.status, c.species, c.gender, c.image
+    FROM location_residents lr
+    JOIN entities c ON c.id = lr.character_id AND c.entity_type = 'character'
+    WHERE lr.location_id = $1
+    ORDER BY c.id
+  `, [row.id]);
+
+  return {
+    location: { id: row.id, name: row.name, type: row.location_type, dimension: row.dimension },
+    residents: residents.rows.map(characterSummary),
+  };
+}
+
+/**
+ * Episodes and origins of characters, in the GraphQL shape
+ * @param {Array<number>} characterIds - Character ids
+ * @returns {Promise<{episodes: Map<number, Array>, origins: Map<number, Object>}>} Keyed by character id
+ */
+export async function loadCharacterRelations(characterIds) {
+  const [episodes, origins] = await Promise.all([
+    pool.query(`
+      SELECT ce.character_id, e.id, e.name, e.episode_code, e.air_date
+      FROM character_episodes ce
+      JOIN entities e ON e.id = ce.episode_id AND e.entity_type = 'episode'
+      WHERE ce.character_id = ANY($1::int[])
+      ORDER BY ce.character_id, e.id
+    `, [characterIds]),
+    pool.query(`
+      SELECT co.character_id, co.location_id, co.origin_name, l.location_type, l.dimension
+      FROM character_origin co
+      LEFT JOIN entities l ON l.id = co.location_id AND l.entity_type = 'location'
+      WHERE co.character_id = ANY($1::int[])
+    `, [characterIds]),
+  ]);
+
+  const episodesByCharacter = new Map();
+  for (const row of episodes.rows) {
+    if (!episodesByCharacter.has(row.character_id)) episodesByCharacter.set(row.character_id, []);
+    episodesByCharacter.get(row.character_id).push({
+      id: String(row.id),
+      name: row.name,
+      episode: row.episode_code,
+      air_date: row.air_date,
+    });
+  }
+
+  const originsByCharacter = new Map(origins.rows.map(row => [row.character_id, {
+    id: row.location_id === null ? null : String(row.location_id),
+    name: row.origin_name,
+    type: row.location_type,
+    dimension: row.dimension,
+  }]));
+
+  return { episodes: episodesByCharacter, origins: originsByCharacter };
+}
+
+/**
+ * Characters related to other entities through a relationship table, in the GraphQL shape
+ * @param {string} table - "location_residents" or "character_episodes"
+ * @param {string} column - Column holding the related entity id
+ * @param {Array<number>} ids - Related entity ids
+ * @returns {Promise<Map<number, Array>>} Characters keyed by related entity id
+ */
+async function loadRelatedCharacters(table, column, ids) {
+  const result = await pool.query(`
+    SELECT r.${column} AS related_id, c.id, c.name, c.status, c.species, c.type, c.gender, c.location_name,
+      co.origin_name
+    FROM ${table} r
+    JOIN entities c ON c.id = r.character_id AND c.entity_type = 'character'
+    LEFT JOIN character_origin co ON co.character_id = c.id
+    WHERE r.${column} = ANY($1::int[])
+    ORDER BY r.${column}, c.id
+  `, [ids]);
+
+  const charactersById = new Map();
+  for (const row of result.rows) {
+    if (!charactersById.has(row.related_id)) charactersById.set(row.related_id, []);
+    charactersById.get(row.related_id).push({
+      id: String(row.id),
+      name: row.name,
+      status: row.status,
+      species: row.species,
+      type: row.type || '',
+      gender: row.gender,
+      origin: row.origin_name ? { name: row.origin_name } : null,
+      location: row.location_name ? { name: row.location_name } : null,
+    });
+  }
+  return charactersById;
+}
+
+/**
+ * Residents of locations, in the GraphQL shape
+ * @param {Array<number>} locationIds - Location ids
+ * @returns {Promise<Map<number, Array>>} Residents keyed by location id
+ */
+export function loadLocationResidents(locationIds) {
+  return loadRelatedCharacters('location_residents', 'location_id', locationIds);
+}
+
+/**
+ * Casts of episodes, in the GraphQL shape
+ * @param {Array<number>} episodeIds - Episode ids
+ * @returns {Promise<Map<number, Array>>} Characters keyed by episode id
+ */
+export function loadEpisodeCast(episodeIds) {
+  return loadRelatedCharacters('character_episodes', 'episode_id', episodeIds);
+}
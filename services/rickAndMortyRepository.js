@@ -0,0 +1,406 @@
+/**
+ * Rick and Morty data-access layer
+ * Single place for GraphQL lookups of characters, locations and episodes.
+ * Lookups made in the same tick are batched into multi-id queries (charactersByIds etc.),
+ * results are kept in an in-memory LRU with TTL, and the synced `entities` table is used
+ * as a fallback when the upstream API is unreachable.
+ */
+
+import { GraphQLClient, ClientError } from 'graphql-request';
+import dotenv from 'dotenv';
+import { pool } from './db.js';
+import { createLruCache } from './lruCache.js';
+import { getRateLimiter } from './rateLimiter.js';
+import { loadCharacterRelations, loadLocationResidents, loadEpisodeCast } from './relationshipService.js';
+
+dotenv.config();
+
+export const graphqlClient = new GraphQLClient(
+  process.env.RICK_AND_MORTY_GRAPHQL_URL
+);
+
+/**
+ * Send a GraphQL request once the shared GraphQL rate limiter allows it
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Query data
+ */
+export async function requestGraphQL(query, variables) {
+  await getRateLimiter('graphql').acquire();
+  return graphqlClient.request(query, variables);
+}
+
+// Maximum ids per multi-id query
+const MAX_BATCH_SIZE = 100;
+
+const cacheOptions = {
+  maxEntries: parseInt(process.env.RICK_AND_MORTY_CACHE_MAX_ENTRIES || '1000', 10),
+  ttlMs: parseInt(process.env.RICK_AND_MORTY_CACHE_TTL_SECONDS || '600', 10) * 1000,
+};
+
+const CHARACTER_FIELDS = `
+  id
+  name
+  status
+  species
+  type
+  gender
+  image
+  origin {
+    id
+    name
+    type
+    dimension
+  }
+  location {
+    id
+    name
+    type
+    dimension
+  }
+  episode {
+    id
+    name
+    episode
+    air_date
+  }
+`;
+
+const LOCATION_FIELDS = `
+  id
+  name
+  type
+  dimension
+  residents {
+    id
+    name
+    status
+    species
+    type
+    gender
+    origin {
+      name
+    }
+    location {
+      name
+    }
+  }
+`;
+
+const EPISODE_FIELDS = `
+  id
+  name
+  episode
+  air_date
+  characters {
+    id
+    name
+    status
+    species
+  }
+`;
+
+const GET_CHARACTERS_BY_IDS_QUERY = `
+  query GetCharactersByIds($ids: [ID!]!) {
+    charactersByIds(ids: $ids) {
+      ${CHARACTER_FIELDS}
+    }
+  }
+`;
+
+const GET_LOCATIONS_BY_IDS_QUERY = `
+  query GetLocationsByIds($ids: [ID!]!) {
+    locationsByIds(ids: $ids) {
+      ${LOCATION_FIELDS}
+    }
+  }
+`;
+
+const GET_EPISODES_BY_IDS_QUERY = `
+  query GetEpisodesByIds($ids: [ID!]!) {
+    episodesByIds(ids: $ids) {
+      ${EPISODE_FIELDS}
+    }
+  }
+`;
+
+/**
+ * Check whether a GraphQL error means the upstream API could not serve the request
+ * Server errors and rate limits (429) count as unavailable; GraphQL errors returned by a healthy
+ * API (e.g. for an invalid id) do not
+ */
+function isUpstreamUnavailable(error) {
+  if (error instanceof ClientError) {
+    const status = error.response?.status || 0;
+    return status >= 500 || status === 429;
+  }
+  return true;
+}
+
+/**
+ * Map a synced `entities` row to the GraphQL character shape
+ * Only fields stored by sync-data are available; nested data is filled in by attachRelations
+ */
+function characterFromRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    status: row.status,
+    species: row.species,
+    type: row.type || '',
+    gender: row.gender,
+    image: row.image,
+    origin: null,
+    location: row.location_name ? { id: null, name: row.location_name, type: null, dimension: null } : null,
+    episode: [],
+  };
+}
+
+/**
+ * Map a synced `entities` row to the GraphQL location shape
+ */
+function locationFromRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    type: row.location_type,
+    dimension: row.dimension,
+    residents: [],
+  };
+}
+
+/**
+ * Map a synced `entities` row to the GraphQL episode shape
+ */
+function episodeFromRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    episode: row.episode_code,
+    air_date: row.air_date,
+    characters: [],
+  };
+}
+
+/**
+ * Fill in episodes, origins, residents and casts of fallback entities from the relationship tables
+ * If the relationship lookup fails, the entities are returned without nested data
+ */
+async function attachRelations(entityType, entities) {
+  const ids = entities.map(entity => parseInt(entity.id));
+  if (ids.length === 0) return;
+
+  try {
+    if (entityType === 'character') {
+      const { episodes, origins } = await loadCharacterRelations(ids);
+      for (const entity of entities) {
+        entity.episode = episodes.get(parseInt(entity.id)) || [];
+        entity.origin = origins.get(parseInt(entity.id)) || null;
+      }
+    } else if (entityType === 'location') {
+      const residents = await loadLocationResidents(ids);
+      for (const entity of entities) {
+        entity.residents = residents.get(parseInt(entity.id)) || [];
+      }
+    } else if (entityType === 'episode') {
+      const cast = await loadEpisodeCast(ids);
+      for (const entity of entities) {
+        entity.characters = cast.get(parseInt(entity.id)) || [];
+      }
+    }
+  } catch (error) {
+    console.warn(`Relationship lookup for ${entityType} ${ids.join(', ')} failed:`, error.message);
+  }
+}
+
+/**
+ * Load entities from the synced database as a fallback
+ */
+async function loadFromDatabase(entityType, ids, mapRow) {
+  const result = await pool.query(`
+    SELECT id, name, status, species, type, gender, image, location_name, location_type, dimension,
+      episode_code, air_date
+    FROM entities
+    WHERE entity_type = $1 AND id = ANY($2::int[])
+  `, [entityType, ids.map(id => parseInt(id))]);
+
+  const entities = result.rows.map(mapRow);
+  await attachRelations(entityType, entities);
+  return entities;
+}
+
+/**
+ * Create a loader for one entity type
+ * Ids requested before the next event loop turn are fetched with one multi-id query
+ * @param {Object} options - Loader options
+ * @param {string} options.entityType - Entity type in the `entities` table
+ * @param {string} options.query - Multi-id GraphQL query
+ * @param {string} options.field - Field of the query result holding the entities
+ * @param {Function|null} options.mapRow - Maps an `entities` row for the database fallback
+ * @returns {{load: Function, cache: Object}} Loader
+ */
+function createEntityLoader({ entityType, query, field, mapRow }) {
+  const cache = createLruCache(cacheOptions);
+  let pending = null;
+
+  async function fetchBatch(ids) {
+    try {
+      const data = await requestGraphQL(query, { ids });
+      return { entities: data[field] || [], upstreamError: null };
+    } catch (error) {
+      if (!mapRow || !isUpstreamUnavailable(error)) {
+        throw error;
+      }
+      console.warn(`Rick and Morty API unavailable, loading ${entityType} ${ids.join(', ')} from database:`, error.message);
+      try {
+        return { entities: await loadFromDatabase(entityType, ids, mapRow), upstreamError: error };
+      } catch (dbError) {
+        console.error(`Database fallback for ${entityType} failed:`, dbError.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetch one chunk of ids and settle their callers
+   * If the API rejects a multi-id query (e.g. because of one invalid id), the ids are retried one
+   * at a time, so only the callers of the bad id are rejected
+   */
+  async function flushChunk(batch, chunk) {
+    try {
+      const { entities, upstreamError } = await fetchBatch(chunk);
+      const byId = new Map(entities.filter(Boolean).map(entity => [String(entity.id), entity]));
+
+      for (const id of chunk) {
+        const entity = byId.get(id) || null;
+        // An id the database fallback does not have may still exist upstream: reject with the
+        // upstream error instead of reporting it as missing
+        if (!entity && upstreamError) {
+          batch.get(id).forEach(({ reject }) => reject(upstreamError));
+          continue;
+        }
+        // Partial database fallbacks are not cached, so full data is fetched once the API is back
+        if (entity && !upstreamError) {
+          cache.set(id, entity);
+        }
+        batch.get(id).forEach(({ resolve }) => resolve(entity));
+      }
+    } catch (error) {
+      if (chunk.length > 1 && !isUpstreamUnavailable(error)) {
+        console.warn(`Batched ${entityType} query for ${chunk.join(', ')} failed, retrying ids one at a time:`, error.message);
+        await Promise.all(chunk.map(id => flushChunk(batch, [id])));
+        return;
+      }
+      chunk.forEach(id => batch.get(id).forEach(({ reject }) => reject(error)));
+    }
+  }
+
+  async function flush(batch) {
+    const ids = Array.from(batch.keys());
+
+    for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+      await flushChunk(batch, ids.slice(i, i + MAX_BATCH_SIZE));
+    }
+  }
+
+  function load(id) {
+    const key = String(id);
+    const cached = cache.get(key);
+    if (cached) {
+      return Promise.resolve(cached);
+    }
+
+    if (!pending) {
+      const batch = new Map();
+      pending = batch;
+      setImmediate(() => {
+        pending = null;
+        flush(batch);
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!pending.has(key)) {
+        pending.set(key, []);
+      }
+      pending.get(key).push({ resolve, reject });
+    });
+  }
+
+  return { load, cache };
+}
+
+const characterLoader = createEntityLoader({
+  entityType: 'character',
+  query: GET_CHARACTERS_BY_IDS_QUERY,
+  field: 'charactersByIds',
+  mapRow: characterFromRow,
+});
+
+const locationLoader = createEntityLoader({
+  entityType: 'location',
+  query: GET_LOCATIONS_BY_IDS_QUERY,
+  field: 'locationsByIds',
+  mapRow: locationFromRow,
+});
+
+const episodeLoader = createEntityLoader({
+  entityType: 'episode',
+  query: GET_EPISODES_BY_IDS_QUERY,
+  field: 'episodesByIds',
+  mapRow: episodeFromRow,
+});
+
+/**
+ * Get a character with origin, location and episodes
+ * @param {string|number} id - Character id
+ * @returns {Promise<Object|null>} Character or null if not found
+ */
+export function getCharacter(id) {
+  return characterLoader.load(id);
+}
+
+/**
+ * Get several characters in one batched lookup
+ * @param {Array<string|number>} ids - Character ids
+ * @returns {Promise<Array<Object|null>>} Characters in the order of ids (null where not found)
+ */
+export function getCharacters(ids) {
+  return Promise.all(ids.map(id => characterLoader.load(id)));
+}
+
+/**
+ * Get a location with its residents
+ * @param {string|number} id - Location id
+ * @returns {Promise<Object|null>} Location or null if not found
+ */
+export function getLocation(id) {
+  return locationLoader.load(id);
+}
+
+/**
+ * Get several locations in one batched lookup
+ * @param {Array<string|number>} ids - Location ids
+ * @returns {Promise<Array<Object|null>>} Locations in the order of ids (null where not found)
+ */
+export function getLocations(ids) {
+  return Promise.all(ids.map(id => locationLoader.load(id)));
+}
+
+/**
+ * Get an episode with its characters
+ * @param {string|number} id - Episode id
+ * @returns {Promise<Object|null>} Episode or null if not found
+ */
+export function getEpisode(id) {
+  return episodeLoader.load(id);
+}
+
+/**
+ * Clear all cached entities
+ */
+export function clearRepositoryCache() {
+  characterLoader.cache.clear();
+  locationLoader.cache.clear();
+  episodeLoader.cache.clear();
+}
@@ -0,0 +1,58 @@
+/**
+ * Search pagination cursors
+ * A cursor holds the position of the last returned result and the text the vector ranking embedded,
+ * so later pages rank with the same expanded query even after the embedding cache has expired.
+ */
+
+/**
+ * Encode the position of the last returned result as an opaque cursor
+ * @param {Object} row - Last row of the page (score, entity_type, id)
+ * @param {string|null} vectorQuery - Text embedded for the vector ranking, or null if it was skipped
+ * @returns {string} Cursor
+ */
+export function encodeSearchCursor(row, vectorQuery) {
+  const position = { score: parseFloat(row.score), entityType: row.entity_type, id: row.id, vectorQuery };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a previous search response
+ * @param {string} cursor - nextCursor from a previous page
+ * @returns {{score: number, entityType: string, id: number, vectorQuery: string|null}|null}
+ *   Position after which the page starts and the vector ranking's query, or null without a cursor
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeSearchCursor(cursor) {
+  if (cursor === undefined || cursor === null) {
+    return null;
+  }
+
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (
+      typeof position.score === 'number'
+      && typeof position.entityType === 'string'
+      && Number.isInteger(position.id)
+      && (position.vectorQuery === null || typeof position.vectorQuery === 'string')
+    ) {
+      return position;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * Check whether a row comes after the cursor position in result order
+ * (score descending, then entity type and id ascending)
+ * @param {Object} row - Result row (score, entity_type, id)
+ * @param {Object} position - Decoded cursor
+ * @returns {boolean}
+ */
+export function isAfterCursor(row, position) {
+  const score = parseFloat(row.score);
+  if (score !== position.score) return score < position.score;
+  if (row.entity_type !== position.entityType) return row.entity_type > position.entityType;
+  return row.id > position.id;
+}
@@ -1,22 +1,51 @@
 /**
- * Semantic search service using vector embeddings
- * Searches both characters and locations based on query similarity
+ * Hybrid search service
+ * Searches characters, locations and episodes by fusing three rankings with reciprocal rank fusion:
+ * pgvector similarity, Postgres full-text search and pg_trgm name similarity
  */
 
-import pkg from 'pg';
 import dotenv from 'dotenv';
 import { GoogleGenAI } from '@google/genai';
 import { generateWithLLM } from './llmService.js';
+import { pool } from './db.js';
+import { createLruCache } from './lruCache.js';
+import { getRateLimiter } from './rateLimiter.js';
+import { encodeSearchCursor, decodeSearchCursor, isAfterCursor } from './searchCursor.js';
 
-const { Pool } = pkg;
 dotenv.config();
 
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'rickandmorty',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || '',
+// Default weight of each ranking in the fused score
+export const DEFAULT_SEARCH_WEIGHTS = {
+  vector: parseFloat(process.env.SEARCH_WEIGHT_VECTOR || '1'),
+  fulltext: parseFloat(process.env.SEARCH_WEIGHT_FULLTEXT || '1'),
+  trigram: parseFloat(process.env.SEARCH_WEIGHT_TRIGRAM || '1'),
+};
+
+// Reciprocal rank fusion constant: contribution = weight / (k + rank)
+const RRF_K = parseInt(process.env.SEARCH_RRF_K || '60', 10);
+
+// Candidates taken from each ranking before fusion
+// Independent of the page size so every page is cut from the same fused list; results and total
+// are limited to these candidates
+const SEARCH_CANDIDATES = parseInt(process.env.SEARCH_CANDIDATES || '100', 10);
+
+// Minimum pg_trgm similarity for a name to count as a trigram match
+const TRIGRAM_THRESHOLD = parseFloat(process.env.SEARCH_TRIGRAM_THRESHOLD || '0.3');
+
+// Search filters and facets -> entities column
+const SEARCH_FIELDS = {
+  entityType: 'entity_type',
+  status: 'status',
+  species: 'species',
+  gender: 'gender',
+  dimension: 'dimension',
+  locationType: 'location_type',
+};
+
+// Query embeddings by embedded text, so later pages of a search do not embed the same text again
+const queryEmbeddingCache = createLruCache({
+  maxEntries: 500,
+  ttlMs: parseInt(process.env.SEARCH_EMBEDDING_CACHE_TTL_SECONDS || '900', 10) * 1000,
 });
 
 // Initialize Google Gemini AI for embeddings
@@ -47,16 +76,19 @@ async function enhanceQueryWithLLM(query) {
 }
 
 /**
- * Generate embedding for search query
+ * Generate embedding for the (already expanded) vector query
  */
-async function generateQueryEmbedding(query) {
+async function generateQueryEmbedding(vectorQuery) {
+  const cachedEmbedding = queryEmbeddingCache.get(vectorQuery);
+  if (cachedEmbedding) {
+    return cachedEmbedding;
+  }
+
   try {
-    // Enhance the query using LLM for better semantic matching (for short queries)
-    const enhancedQuery = await enhanceQueryWithLLM(query);
-    
+    await getRateLimiter('embeddings').acquire();
     const response = await embeddingClient.models.embedContent({
       model: 'text-embedding-004',
-      contents: enhancedQuery,
+      contents: vectorQuery,
     });
     
     let embedding;
@@ -80,9 +112,10 @@ async function generateQueryEmbedding(query) {
     
     // Truncate to 768 dimensions if longer
     if (embedding.length > 768) {
-      return embedding.slice(0, 768);
+      embedding = embedding.slice(0, 768);
     }
     
+    queryEmbeddingCache.set(vectorQuery, embedding);
     return embedding;
   } catch (error) {
     console.error('Error generating query embedding:', error);
@@ -91,74 +124,300 @@ async function generateQueryEmbedding(query) {
 }
 
 /**
- * Perform semantic search across characters and locations using unified table
- * Returns top 6 results only
+ * Merge request weights over the defaults
+ * @param {Object} weights - Partial weights, e.g. { trigram: 2 }
+ * @returns {{vector: number, fulltext: number, trigram: number}}
+ * @throws {Error} If a weight is unknown or not a non-negative number
+ */
+export function resolveSearchWeights(weights = {}) {
+  const resolved = { ...DEFAULT_SEARCH_WEIGHTS };
+  for (const [name, value] of Object.entries(weights || {})) {
+    if (!(name in resolved)) {
+      throw new Error(`Unknown search weight "${name}" (expected vector, fulltext or trigram)`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Search weight "${name}" must be a non-negative number`);
+    }
+    resolved[name] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Validate search filters and normalize every value to an array
+ * @param {Object} filters - e.g. { entityType: 'character', status: ['Dead', 'unknown'] }
+ * @returns {Object} Filters with array values
+ * @throws {Error} If a filter is unknown or a value is not a non-empty string
+ */
+export function normalizeSearchFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return {};
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('filters must be an object');
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(filters)) {
+    if (!(name in SEARCH_FIELDS)) {
+      throw new Error(`Unknown filter "${name}" (expected ${Object.keys(SEARCH_FIELDS).join(', ')})`);
+    }
+    const values = [].concat(value);
+    if (values.length === 0 || !values.every(item => typeof item === 'string' && item.trim().length > 0)) {
+      throw new Error(`Filter "${name}" must be a non-empty string or an array of non-empty strings`);
+    }
+    normalized[name] = values.map(item => item.trim());
+  }
+
+  if (normalized.entityType?.some(type => !['character', 'location', 'episode'].includes(type.toLowerCase()))) {
+    throw new Error('Filter "entityType" must be "character", "location" or "episode"');
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the SQL conditions for filters, appending their values to params
+ * Values are matched case-insensitively; several values for one filter are ORed
+ */
+function buildFilterConditions(filters, params) {
+  return Object.entries(filters)
+    .map(([name, values]) => {
+      params.push(values.map(value => value.toLowerCase()));
+      return `AND lower(${SEARCH_FIELDS[name]}) = ANY($${params.length}::text[])`;
+    })
+    .join(' ');
+}
+
+/**
+ * Count the values of every filterable field across the matched rows
+ * @returns {Object} Facets keyed by filter name, each a list of { value, count } sorted by count
+ */
+function buildFacets(rows) {
+  const facets = {};
+  for (const [name, column] of Object.entries(SEARCH_FIELDS)) {
+    const counts = new Map();
+    for (const row of rows) {
+      const value = row[column];
+      if (value === null || value === '') continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[name] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return facets;
+}
+
+/**
+ * Build the score breakdown for one ranking
  */
-export async function semanticSearch(query, limit = 6) {
-  const client = await pool.connect();
+function rankingBreakdown(rank, value, valueName, weight) {
+  if (rank === null) return null;
+  return {
+    rank: Number(rank),
+    [valueName]: parseFloat(value),
+    contribution: weight / (RRF_K + Number(rank)),
+  };
+}
+
+/**
+ * Format an entities row as a search result
+ * @param {Object} row - entities row
+ * @param {Object} match - How the row matched (distance, score, ...), placed before the result type
+ * @returns {Object} Result with the fields of its entity type
+ */
+function formatResult(row, match) {
+  if (row.entity_type === 'character') {
+    return {
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      species: row.species,
+      type: row.type,
+      gender: row.gender,
+      image: row.image,
+      location: row.location_name,
+      ...match,
+      type: 'character',
+    };
+  } else if (row.entity_type === 'episode') {
+    return {
+      id: row.id,
+      name: row.name,
+      episode: row.episode_code,
+      airDate: row.air_date,
+      ...match,
+      type: 'episode',
+    };
+  } else {
+    return {
+      id: row.id,
+      name: row.name,
+      locationType: row.location_type,
+      dimension: row.dimension,
+      ...match,
+      type: 'location',
+    };
+  }
+}
+
+/**
+ * Get the query the vector ranking embeds and its embedding
+ * The first page expands the query with the LLM; later pages embed the query recorded in the
+ * cursor, and skip the vector ranking if the first page did. If expansion or embedding fails, the
+ * vector ranking is skipped on that page and on the pages after it, so the search falls back to
+ * the lexical rankings the same way on every page.
+ * @returns {Promise<{vectorQuery: string|null, embeddingString: string|null}>} vectorQuery is null when skipped
+ */
+async function resolveVectorQuery(query, position) {
+  if (position && position.vectorQuery === null) {
+    return { vectorQuery: null, embeddingString: null };
+  }
+
+  try {
+    // Enhance the query using LLM for better semantic matching (for short queries)
+    const vectorQuery = position ? position.vectorQuery : await enhanceQueryWithLLM(query);
+    const queryEmbedding = await generateQueryEmbedding(vectorQuery);
+    return { vectorQuery, embeddingString: `[${queryEmbedding.join(',')}]` };
+  } catch (error) {
+    console.warn(`⚠️  Vector ranking skipped for "${query}": ${error.message}`);
+    return { vectorQuery: null, embeddingString: null };
+  }
+}
+
+/**
+ * Perform hybrid search across characters, locations and episodes using unified table
+ * The vector ranking uses the LLM-expanded query; the lexical rankings use the query as typed,
+ * so exact names (e.g. "Squanchy") are not lost to fuzzy semantic matches.
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results (default: 6)
+ * @param {Object} options - Search options
+ * @param {Object} options.weights - Per-ranking weights overriding SEARCH_WEIGHT_* (vector, fulltext, trigram)
+ * @param {Object} options.filters - Filters applied inside every ranking (see normalizeSearchFilters)
+ * @param {number} options.maxDistance - Drop vector matches with a larger cosine distance
+ * @param {number} options.minScore - Drop results with a lower fused score
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @returns {Promise<Object>} Query, weights, filters, one page of results with a per-result score breakdown,
+ *   facet counts and total over the fused candidates above the thresholds (each ranking contributes at most
+ *   SEARCH_CANDIDATES, so this is not a count of every matching entity), and nextCursor (null on the last page)
+ */
+export async function semanticSearch(query, limit = 6, options = {}) {
+  const weights = resolveSearchWeights(options.weights);
+  const filters = normalizeSearchFilters(options.filters);
+  const position = decodeSearchCursor(options.cursor);
+  const maxDistance = options.maxDistance ?? null;
+  const minScore = options.minScore ?? 0;
   
   try {
-    // Generate embedding for the query
-    const queryEmbedding = await generateQueryEmbedding(query);
-    const embeddingString = `[${queryEmbedding.join(',')}]`;
+    // Resolved before the database query; lexical rankings still run if this fails
+    const { vectorQuery, embeddingString } = weights.vector > 0
+      ? await resolveVectorQuery(query, position)
+      : { vectorQuery: null, embeddingString: null };
     
-    // Semantic search using vector embeddings
-    // Using cosine distance (<=>) - lower is better (0 = identical, 1 = orthogonal)
-    const result = await client.query(`
+    const params = [embeddingString, query, SEARCH_CANDIDATES, TRIGRAM_THRESHOLD, weights.vector, weights.fulltext, weights.trigram, RRF_K, maxDistance, minScore];
+    const filterConditions = buildFilterConditions(filters, params);
+    
+    // Each ranking keeps its top candidates; cosine distance (<=>) is lower-is-better,
+    // ts_rank_cd and similarity() are higher-is-better. Filters apply inside every ranking.
+    const result = await pool.query(`
+      WITH vector_ranking AS (
+        SELECT id, entity_type,
+          embedding <=> $1::vector AS distance,
+          ROW_NUMBER() OVER (ORDER BY embedding <=> $1::vector) AS rank
+        FROM entities
+        WHERE $1::text IS NOT NULL AND embedding IS NOT NULL
+          AND ($9::float8 IS NULL OR embedding <=> $1::vector <= $9::float8) ${filterConditions}
+        ORDER BY embedding <=> $1::vector
+        LIMIT $3
+      ),
+      fulltext_ranking AS (
+        SELECT id, entity_type,
+          ts_rank_cd(search_vector, query) AS score,
+          ROW_NUMBER() OVER (ORDER BY ts_rank_cd(search_vector, query) DESC) AS rank
+        FROM entities, websearch_to_tsquery('english', $2) AS query
+        WHERE search_vector @@ query ${filterConditions}
+        ORDER BY score DESC
+        LIMIT $3
+      ),
+      trigram_ranking AS (
+        SELECT id, entity_type,
+          similarity(name, $2) AS similarity,
+          ROW_NUMBER() OVER (ORDER BY similarity(name, $2) DESC) AS rank
+        FROM entities
+        WHERE (similarity(name, $2) >= $4 OR name ILIKE '%' || $2 || '%') ${filterConditions}
+        ORDER BY similarity DESC
+        LIMIT $3
+      ),
+      fused AS (
+        SELECT
+          COALESCE(v.id, f.id, t.id) AS id,
+          COALESCE(v.entity_type, f.entity_type, t.entity_type) AS entity_type,
+          v.rank AS vector_rank, v.distance,
+          f.rank AS fulltext_rank, f.score AS fulltext_score,
+          t.rank AS trigram_rank, t.similarity AS trigram_similarity,
+          COALESCE($5::float8 / ($8 + v.rank), 0) +
+          COALESCE($6::float8 / ($8 + f.rank), 0) +
+          COALESCE($7::float8 / ($8 + t.rank), 0) AS score
+        FROM vector_ranking v
+        FULL OUTER JOIN fulltext_ranking f ON f.id = v.id AND f.entity_type = v.entity_type
+        FULL OUTER JOIN trigram_ranking t
+          ON t.id = COALESCE(v.id, f.id) AND t.entity_type = COALESCE(v.entity_type, f.entity_type)
+      )
       SELECT 
-        id,
-        entity_type,
-        name,
-        status,
-        species,
-        type,
-        gender,
-        image,
-        location_name,
-        location_type,
-        dimension,
-        embedding <=> $1::vector AS distance
-      FROM entities
-      WHERE embedding IS NOT NULL
-      ORDER BY embedding <=> $1::vector
-      LIMIT $2
-    `, [embeddingString, limit]);
+        e.id,
+        e.entity_type,
+        e.name,
+        e.status,
+        e.species,
+        e.type,
+        e.gender,
+        e.image,
+        e.location_name,
+        e.location_type,
+        e.dimension,
+        e.episode_code,
+        e.air_date,
+        fused.vector_rank,
+        fused.distance,
+        fused.fulltext_rank,
+        fused.fulltext_score,
+        fused.trigram_rank,
+        fused.trigram_similarity,
+        fused.score
+      FROM fused
+      JOIN entities e ON e.id = fused.id AND e.entity_type = fused.entity_type
+      WHERE fused.score > 0 AND fused.score >= $10::float8
+      ORDER BY fused.score DESC, e.entity_type, e.id
+    `, params);
+    
+    console.log(`Found ${result.rows.length} hybrid matches for query: "${query}"`);
     
-    console.log(`Found ${result.rows.length} semantic results for query: "${query}"`);
+    // Cut the page after the cursor position; ordering ties are broken by entity type and id
+    const remaining = position ? result.rows.filter(row => isAfterCursor(row, position)) : result.rows;
+    const pageRows = remaining.slice(0, limit);
+    const nextCursor = remaining.length > limit ? encodeSearchCursor(pageRows[pageRows.length - 1], vectorQuery) : null;
     
     // Format results based on entity type
-    const results = result.rows.map(row => {
-      const distance = parseFloat(row.distance);
+    const results = pageRows.map(row => {
+      const distance = row.distance === null ? null : parseFloat(row.distance);
+      const scoreBreakdown = {
+        vector: rankingBreakdown(row.vector_rank, row.distance, 'distance', weights.vector),
+        fulltext: rankingBreakdown(row.fulltext_rank, row.fulltext_score, 'score', weights.fulltext),
+        trigram: rankingBreakdown(row.trigram_rank, row.trigram_similarity, 'similarity', weights.trigram),
+      };
+      const score = parseFloat(row.score);
       
-      if (row.entity_type === 'character') {
-        return {
-          id: row.id,
-          name: row.name,
-          status: row.status,
-          species: row.species,
-          type: row.type,
-          gender: row.gender,
-          image: row.image,
-          location: row.location_name,
-          distance: distance,
-          type: 'character',
-        };
-      } else {
-        return {
-          id: row.id,
-          name: row.name,
-          locationType: row.location_type,
-          dimension: row.dimension,
-          distance: distance,
-          type: 'location',
-        };
-      }
+      return formatResult(row, { distance, score, scoreBreakdown });
     });
     
     return {
       query,
+      weights,
+      filters,
       results,
-      total: results.length,
+      facets: buildFacets(result.rows),
+      total: result.rows.length,
+      nextCursor,
     };
   } catch (error) {
     console.error('Error performing semantic search:', error);
@@ -167,8 +426,74 @@ export async function semanticSearch(query, limit = 6) {
       stack: error.stack,
     });
     throw error;
-  } finally {
-    client.release();
   }
 }
 
+/**
+ * Find the entities nearest to an entity's stored embedding
+ * Uses only the vector stored by sync-data: no query expansion and no embedding call.
+ * Without an entityType filter, results are limited to the source entity's own type.
+ * @param {string} entityType - Type of the source entity ("character" or "location")
+ * @param {number|string} id - Id of the source entity
+ * @param {number} limit - Maximum number of results (default: 6)
+ * @param {Object} options - Options
+ * @param {Object} options.filters - Filters as for semanticSearch (see normalizeSearchFilters)
+ * @param {number} options.maxDistance - Drop results with a larger cosine distance
+ * @returns {Promise<Object|null>} Source entity, filters and results ordered by distance,
+ *   or null if the entity has not been synced
+ * @throws {Error} With code "NO_EMBEDDING" if the entity was synced without an embedding
+ */
+export async function findSimilarEntities(entityType, id, limit = 6, { filters = {}, maxDistance = null } = {}) {
+  const source = await pool.query(
+    'SELECT id, entity_type, name, embedding IS NOT NULL AS has_embedding FROM entities WHERE entity_type = $1 AND id = $2',
+    [entityType, parseInt(id)]
+  );
+  if (source.rows.length === 0) {
+    return null;
+  }
+  if (!source.rows[0].has_embedding) {
+    const error = new Error(`${entityType} ${id} has no stored embedding`);
+    error.code = 'NO_EMBEDDING';
+    throw error;
+  }
+
+  const appliedFilters = filters.entityType ? filters : { ...filters, entityType: [entityType] };
+  const params = [entityType, parseInt(id), limit, maxDistance ?? null];
+  const filterConditions = buildFilterConditions(appliedFilters, params);
+
+  const result = await pool.query(`
+    WITH source AS (
+      SELECT embedding FROM entities WHERE entity_type = $1 AND id = $2
+    )
+    SELECT 
+      e.id,
+      e.entity_type,
+      e.name,
+      e.status,
+      e.species,
+      e.type,
+      e.gender,
+      e.image,
+      e.location_name,
+      e.location_type,
+      e.dimension,
+      e.episode_code,
+      e.air_date,
+      e.embedding <=> source.embedding AS distance
+    FROM entities e, source
+    WHERE e.embedding IS NOT NULL
+      AND NOT (e.entity_type = $1 AND e.id = $2)
+      AND ($4::float8 IS NULL OR e.embedding <=> source.embedding <= $4::float8)
+      ${filterConditions}
+    ORDER BY e.embedding <=> source.embedding
+    LIMIT $3
+  `, params);
+
+  console.log(`Found ${result.rows.length} entities similar to ${entityType} ${id}`);
+
+  return {
+    entity: { id: source.rows[0].id, name: source.rows[0].name, type: entityType },
+    filters: appliedFilters,
+    results: result.rows.map(row => formatResult(row, { distance: parseFloat(row.distance) })),
+  };
+}
@@ -1,35 +1,42 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { getProvider, resolveProviderName } from './llmProviders.js';
+import { withRetry, isRetryableError } from './llmRetry.js';
+import { DEFAULT_MAX_RETRIES, DEFAULT_TIMEOUT_MS } from '../config/llmDefaults.js';
+import { getRateLimiter } from './rateLimiter.js';
 
 dotenv.config();
 
-// Initialize Groq client for vision
-const groqClient = new OpenAI({
-  apiKey: process.env.GROQ_API_KEY || process.env.LLM_API_KEY,
-  baseURL: 'https://api.groq.com/openai/v1',
-});
+// Vision model used for character image analysis (recorded with stored appearances)
+export const VISION_MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
+
+// Models tried in order when VISION_MODEL is rate-limited or down (comma-separated)
+const VISION_FALLBACK_MODELS = (process.env.VISION_FALLBACK_MODELS || '')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+const VISION_TIMEOUT_MS = parseInt(process.env.VISION_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS), 10);
 
 /**
  * Analyze character image and extract visual appearance details
  * Uses Groq's vision model (meta-llama/llama-4-scout-17b-16e-instruct) as configured
+ * Provider can be changed with VISION_PROVIDER (defaults to "groq")
+ * Failed requests are retried with backoff, then VISION_FALLBACK_MODELS are tried in order
+ * Every attempt waits for the shared vision rate limiter (RATE_LIMIT_VISION_RPM)
  * @param {string} imageUrl - URL of the character image
  * @param {string} characterName - Name of the character for context
- * @returns {Promise<string>} Visual appearance description
+ * @returns {Promise<{description: string, model: string}>} Visual appearance description and the model that produced it
  */
 export async function analyzeCharacterImage(imageUrl, characterName) {
-  const model = 'meta-llama/llama-4-scout-17b-16e-instruct';
-  
-  try {
-    console.log(`Analyzing character image using Groq vision model: ${model}`);
-    const response = await groqClient.chat.completions.create({
-      model: model,
-      messages: [
+  const models = [VISION_MODEL, ...VISION_FALLBACK_MODELS];
+  const providerName = resolveProviderName(process.env.VISION_PROVIDER);
+  const messages = [
+    {
+      role: 'user',
+      content: [
         {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: `Analyze this image of ${characterName} from Rick and Morty. Provide a detailed visual description including:
+          type: 'text',
+          text: `Analyze this image of ${characterName} from Rick and Morty. Provide a detailed visual description including:
 - Physical appearance (hair color/style, eyes, skin color, body type, facial features)
 - Clothing and accessories
 - Distinctive features or markings
@@ -37,25 +44,44 @@ export async function analyzeCharacterImage(imageUrl, characterName) {
 - Any notable visual characteristics
 
 Be specific and descriptive. Focus on visual details that would help someone understand what this character looks like.`,
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: imageUrl,
-              },
-            },
-          ],
+        },
+        {
+          type: 'image_url',
+          image_url: {
+            url: imageUrl,
+          },
         },
       ],
-      max_tokens: 300,
-    });
-
-    const visualDescription = response.choices[0].message.content.trim();
-    console.log(`✅ Vision analysis successful`);
-    return visualDescription;
-  } catch (error) {
-    console.error(`❌ Vision model failed:`, error.message);
-    throw error;
+    },
+  ];
+
+  for (const [index, model] of models.entries()) {
+    try {
+      console.log(`Analyzing character image using ${providerName} vision model: ${model}`);
+      const response = await withRetry(
+        (signal) => getProvider(providerName).createChatCompletion({
+          model: model,
+          messages,
+          max_tokens: 300,
+        }, { templateName: 'character_image_analysis', signal }),
+        {
+          maxRetries: DEFAULT_MAX_RETRIES,
+          timeoutMs: VISION_TIMEOUT_MS,
+          label: `${providerName} vision ${model}`,
+          rateLimiter: getRateLimiter('vision'),
+        }
+      );
+
+      const visualDescription = response.choices[0].message.content.trim();
+      console.log(`✅ Vision analysis successful`);
+      return { description: visualDescription, model };
+    } catch (error) {
+      if (index < models.length - 1 && isRetryableError(error)) {
+        console.warn(`⚠️  Vision model ${model} unavailable, falling back to ${models[index + 1]}`);
+        continue;
+      }
+      console.error(`❌ Vision model failed:`, error.message);
+      throw error;
+    }
   }
 }
-
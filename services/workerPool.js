@@ -0,0 +1,31 @@
+/**
+ * Concurrent worker pool
+ * A fixed number of workers pull items from a shared queue, so one slow item (e.g. a vision
+ * call waiting on its rate limiter) does not hold back a whole batch.
+ */
+
+/**
+ * Run a worker function over items with limited concurrency
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Function (item, index) => Promise<result>
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Number of concurrent workers (default: 5)
+ * @param {Function} options.onResult - Awaited with (result, item, index) as each item finishes
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function runWorkerPool(items, worker, { concurrency = 5, onResult = () => {} } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      await onResult(results[index], items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkCharacterDescription,
+  checkLocationDescription,
+  compareWithEvaluation,
+  knownValue,
+} from '../services/descriptionRuleChecks.js';
+
+const rick = {
+  name: 'Rick Sanchez',
+  status: 'Alive',
+  species: 'Human',
+  type: '',
+  gender: 'Male',
+  origin: 'Earth (C-137)',
+  location: 'Citadel of Ricks',
+};
+
+const episodes = [{ name: 'Pilot', episode: 'S01E01' }];
+
+test('finds character fields in their common forms', () => {
+  const description = 'Rick, a living human scientist and a male from C-137, now haunts the Citadel of Ricks. He debuted in the Pilot.';
+  const { checks, score } = checkCharacterDescription(description, rick, { episodes });
+
+  assert.equal(checks.nameMentioned, true);
+  assert.equal(checks.statusMentioned, true);
+  assert.equal(checks.speciesMentioned, true);
+  assert.equal(checks.genderMentioned, true);
+  assert.equal(checks.originMentioned, true);
+  assert.equal(checks.locationMentioned, true);
+  assert.equal(checks.episodeCited, true);
+  assert.equal(checks.typeMentioned, null);
+  assert.equal(score, 10);
+});
+
+test('does not count pronouns or generic nouns as a gender mention', () => {
+  const description = 'Rick Sanchez is a man who drags his grandson on adventures. He never sleeps.';
+  assert.equal(checkCharacterDescription(description, rick).checks.genderMentioned, false);
+});
+
+test('skips checks whose value is unknown', () => {
+  const { checks } = checkCharacterDescription('Someone.', { ...rick, status: 'unknown', origin: 'unknown', gender: 'unknown' });
+  assert.equal(checks.statusMentioned, null);
+  assert.equal(checks.originMentioned, null);
+  assert.equal(checks.genderMentioned, null);
+  assert.equal(checks.episodeCited, null);
+});
+
+test('checks the word and paragraph limits of character descriptions', () => {
+  const long = `${'word '.repeat(151)}\n\nSecond.\n\nThird.`;
+  const { checks, wordCount, paragraphCount } = checkCharacterDescription(long, rick);
+  assert.equal(wordCount, 153);
+  assert.equal(paragraphCount, 3);
+  assert.equal(checks.withinWordLimit, false);
+  assert.equal(checks.withinParagraphLimit, false);
+});
+
+test('finds location fields and resident counts in digits or words', () => {
+  const location = { name: 'Earth (C-137)', type: 'Planet', dimension: 'Dimension C-137' };
+  const { checks, score } = checkLocationDescription('Earth is a planet in C-137 with twenty-seven... no, seven residents.', location, { totalResidentCount: 7 });
+  assert.deepEqual(checks, {
+    nameMentioned: true,
+    typeMentioned: true,
+    dimensionMentioned: true,
+    totalResidentsMentioned: true,
+    withinParagraphLimit: true,
+  });
+  assert.equal(score, 10);
+
+  const grouped = checkLocationDescription('Home to 1,200 souls.', location, { totalResidentCount: 1200 });
+  assert.equal(grouped.checks.totalResidentsMentioned, true);
+  const empty = checkLocationDescription('An uninhabited rock.', location, { totalResidentCount: 0 });
+  assert.equal(empty.checks.totalResidentsMentioned, true);
+});
+
+test('reports disagreements and blends the rule score with autoScore', () => {
+  const ruleChecks = { checks: { nameMentioned: true, genderMentioned: false, typeMentioned: null }, score: 8 };
+  const evaluation = { checks: { nameMentioned: true, genderMentioned: true, typeMentioned: true }, autoScore: 6 };
+
+  // The module has loaded .env, so the weight may come from there
+  const weight = parseFloat(process.env.EVALUATION_RULE_WEIGHT || '0.5');
+  assert.deepEqual(compareWithEvaluation(ruleChecks, evaluation), {
+    disagreements: [{ check: 'genderMentioned', rule: false, llm: true }],
+    blendedScore: Number((weight * 8 + (1 - weight) * 6).toFixed(2)),
+  });
+});
+
+test('keeps autoScore when no rule check applies', () => {
+  const result = compareWithEvaluation({ checks: { typeMentioned: null }, score: null }, { checks: {}, autoScore: 4.5 });
+  assert.deepEqual(result, { disagreements: [], blendedScore: 4.5 });
+});
+
+test('knownValue hides missing and unknown values', () => {
+  assert.equal(knownValue('Earth'), 'Earth');
+  assert.equal(knownValue('Unknown'), null);
+  assert.equal(knownValue('unknown'), null);
+  assert.equal(knownValue(''), null);
+  assert.equal(knownValue(undefined), null);
+});
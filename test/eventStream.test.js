@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { openEventStream } from '../services/eventStream.js';
+
+/**
+ * Start an app with one streamed POST route on a free port
+ */
+function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.post('/stream', async (req, res) => {
+    const stream = openEventStream(req, res);
+    stream.send('progress', { stage: 'fetching_data', echo: req.body });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stream.send('delta', { text: 'Hello' });
+    stream.send('done', { description: 'Hello' });
+    stream.close();
+  });
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+test('streams every event and ends the response for a request with a JSON body', async () => {
+  const server = await startApp();
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ x: 1 }),
+      signal: AbortSignal.timeout(5000),
+    });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    // text() resolves only once the response has ended
+    const body = await response.text();
+    const events = body.trim().split('\n\n').map(chunk => chunk.split('\n')[0]);
+    assert.deepEqual(events, ['event: progress', 'event: delta', 'event: done']);
+    assert.match(body, /"echo":\{"x":1\}/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSearchCursor, decodeSearchCursor, isAfterCursor } from '../services/searchCursor.js';
+
+test('round-trips the position and vector query', () => {
+  const cursor = encodeSearchCursor({ score: '0.0327', entity_type: 'character', id: 42 }, 'a mad scientist');
+  assert.deepEqual(decodeSearchCursor(cursor), {
+    score: 0.0327,
+    entityType: 'character',
+    id: 42,
+    vectorQuery: 'a mad scientist',
+  });
+});
+
+test('keeps a skipped vector ranking as a null vector query', () => {
+  const cursor = encodeSearchCursor({ score: 0.01, entity_type: 'location', id: 3 }, null);
+  assert.equal(decodeSearchCursor(cursor).vectorQuery, null);
+});
+
+test('returns null without a cursor', () => {
+  assert.equal(decodeSearchCursor(undefined), null);
+  assert.equal(decodeSearchCursor(null), null);
+});
+
+test('rejects malformed cursors', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  assert.throws(() => decodeSearchCursor('not a cursor'), /Invalid cursor/);
+  assert.throws(() => decodeSearchCursor(encode({ score: '1', entityType: 'character', id: 1, vectorQuery: null })), /Invalid cursor/);
+  assert.throws(() => decodeSearchCursor(encode({ score: 1, entityType: 'character', id: 1.5, vectorQuery: null })), /Invalid cursor/);
+  assert.throws(() => decodeSearchCursor(encode({ score: 1, entityType: 'character', id: 1 })), /Invalid cursor/);
+});
+
+test('orders rows by score descending, then entity type and id ascending', () => {
+  const position = { score: 0.03, entityType: 'character', id: 5 };
+  assert.equal(isAfterCursor({ score: '0.02', entity_type: 'character', id: 1 }, position), true);
+  assert.equal(isAfterCursor({ score: '0.04', entity_type: 'location', id: 9 }, position), false);
+  assert.equal(isAfterCursor({ score: '0.03', entity_type: 'location', id: 1 }, position), true);
+  assert.equal(isAfterCursor({ score: '0.03', entity_type: 'character', id: 6 }, position), true);
+  assert.equal(isAfterCursor({ score: '0.03', entity_type: 'character', id: 5 }, position), false);
+});
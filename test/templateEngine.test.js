@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, compileTemplate } from '../prompts/templateEngine.js';
+
+test('substitutes variables and dotted paths', () => {
+  const output = renderTemplate('{{name}} from {{origin.name}}', { name: 'Rick', origin: { name: 'Earth' } });
+  assert.equal(output, 'Rick from Earth');
+});
+
+test('throws on a missing variable in strict mode', () => {
+  assert.throws(() => renderTemplate('{{missing}}', {}), /Template variable "missing" is missing/);
+});
+
+test('leaves the placeholder of a missing variable when not strict', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(renderTemplate('Hi {{missing}}', {}, { strict: false }), 'Hi {{missing}}');
+});
+
+test('renders a null value as an empty string', () => {
+  assert.equal(renderTemplate('[{{type}}]', { type: null }), '[]');
+});
+
+test('does not fall back to an outer scope when an item field is null', () => {
+  const template = '{{#each residents}}{{name}}: {{locationName}};{{/each}}';
+  const output = renderTemplate(template, {
+    locationName: 'Citadel of Ricks',
+    residents: [{ name: 'Rick', locationName: null }, { name: 'Morty', locationName: 'Earth' }],
+  });
+  assert.equal(output, 'Rick: ;Morty: Earth;');
+});
+
+test('falls back to an outer scope when an item does not have the field', () => {
+  const output = renderTemplate('{{#each residents}}{{name}} at {{locationName}}{{/each}}', {
+    locationName: 'Earth',
+    residents: [{ name: 'Rick' }],
+  });
+  assert.equal(output, 'Rick at Earth');
+});
+
+test('evaluates if, unless and else branches', () => {
+  const template = '{{#if type}}({{type}}){{else}}none{{/if}} {{#unless alive}}dead{{/unless}}';
+  assert.equal(renderTemplate(template, { type: 'Parasite', alive: false }), '(Parasite) dead');
+  assert.equal(renderTemplate(template, { type: '', alive: true }), 'none ');
+  assert.equal(renderTemplate('{{#if items}}yes{{else}}no{{/if}}', { items: [] }), 'no');
+});
+
+test('loops over arrays with item fields and loop metadata', () => {
+  const template = '{{#each items}}{{@number}}. {{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+  assert.equal(renderTemplate(template, { items: ['a', 'b', 'c'] }), '1. a, 2. b, 3. c');
+});
+
+test('renders the else branch of each for an empty or null list', () => {
+  const template = '{{#each items}}x{{else}}empty{{/each}}';
+  assert.equal(renderTemplate(template, { items: [] }), 'empty');
+  assert.equal(renderTemplate(template, { items: null }), 'empty');
+});
+
+test('rejects each over a value that is not an array', () => {
+  assert.throws(() => renderTemplate('{{#each items}}x{{/each}}', { items: 'abc' }), /must be an array/);
+});
+
+test('removes the line of block tags that stand alone on their line', () => {
+  const template = 'Residents:\n{{#each items}}\n- {{name}}\n{{/each}}\nEnd';
+  assert.equal(renderTemplate(template, { items: [{ name: 'Rick' }, { name: 'Morty' }] }), 'Residents:\n- Rick\n- Morty\nEnd');
+});
+
+test('reports syntax errors with the template name', () => {
+  assert.throws(() => compileTemplate('{{#if a}}x', 'broken'), /Unclosed "\{\{#if\}\}" in template "broken"/);
+  assert.throws(() => compileTemplate('{{/each}}', 'broken'), /Unexpected "\{\{\/each\}\}"/);
+  assert.throws(() => compileTemplate('{{#with a}}{{/with}}', 'broken'), /Unknown block/);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initLLMConfig, resolveTemplateVariant, getConfigByTemplateName, getMaxTokensForTemplate } from '../config/configLoader.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BASE_CONFIG_PATH = path.join(__dirname, '..', 'config', 'llm-config.json');
+
+let tempDir;
+
+// The repo config with variants added to two templates
+before(() => {
+  const templates = JSON.parse(fs.readFileSync(BASE_CONFIG_PATH, 'utf8')).map(template => {
+    if (template.template_name === 'character_description_generation') {
+      return {
+        ...template,
+        variants: [
+          { name: 'control', weight: 3 },
+          { name: 'cold', weight: 1, temperature: 0.2, max_tokens: 300 },
+          { name: 'retired', weight: 0, model: 'retired-model' },
+        ],
+      };
+    }
+    if (template.template_name === 'location_description_generation') {
+      return {
+        ...template,
+        variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 1 }],
+        variant_assignment: 'client',
+      };
+    }
+    return template;
+  });
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+  const configPath = path.join(tempDir, 'llm-config.json');
+  fs.writeFileSync(configPath, JSON.stringify(templates));
+  initLLMConfig({ configPath });
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('templates without variants resolve to themselves', () => {
+  assert.deepEqual(resolveTemplateVariant('query_expansion', { entityKey: 'character:1' }), {
+    variant: null,
+    configName: 'query_expansion',
+  });
+});
+
+test('assignment is sticky per entity', () => {
+  const first = resolveTemplateVariant('character_description_generation', { entityKey: 'character:1' });
+  for (let i = 0; i < 20; i++) {
+    assert.deepEqual(resolveTemplateVariant('character_description_generation', { entityKey: 'character:1' }), first);
+  }
+  assert.equal(first.configName, `character_description_generation@${first.variant}`);
+});
+
+test('assignment follows the variant weights and skips weight 0', () => {
+  const counts = { control: 0, cold: 0, retired: 0 };
+  for (let id = 1; id <= 4000; id++) {
+    counts[resolveTemplateVariant('character_description_generation', { entityKey: `character:${id}` }).variant]++;
+  }
+  assert.equal(counts.retired, 0);
+  assert.ok(Math.abs(counts.control / 4000 - 0.75) < 0.03, `control share ${counts.control / 4000}`);
+  assert.ok(Math.abs(counts.cold / 4000 - 0.25) < 0.03, `cold share ${counts.cold / 4000}`);
+});
+
+test('client assignment keys on the client before the entity', () => {
+  const variants = new Set();
+  for (let id = 1; id <= 50; id++) {
+    variants.add(resolveTemplateVariant('location_description_generation', { entityKey: `location:${id}`, clientId: 'client-1' }).variant);
+  }
+  assert.equal(variants.size, 1);
+
+  const byEntity = resolveTemplateVariant('location_description_generation', { entityKey: 'location:7' });
+  assert.deepEqual(resolveTemplateVariant('location_description_generation', { entityKey: 'location:7' }), byEntity);
+});
+
+test('entity assignment keys on the entity before the client', () => {
+  const byEntity = resolveTemplateVariant('character_description_generation', { entityKey: 'character:9' });
+  for (let client = 1; client <= 20; client++) {
+    assert.deepEqual(
+      resolveTemplateVariant('character_description_generation', { entityKey: 'character:9', clientId: `client-${client}` }),
+      byEntity
+    );
+  }
+});
+
+test('a pinned variant is served as is, even with weight 0', () => {
+  assert.deepEqual(resolveTemplateVariant('character_description_generation@retired', { entityKey: 'character:1' }), {
+    variant: 'retired',
+    configName: 'character_description_generation@retired',
+  });
+});
+
+test('variant overrides apply on top of the template config', () => {
+  const base = getConfigByTemplateName('character_description_generation');
+  const cold = getConfigByTemplateName('character_description_generation@cold');
+  assert.equal(cold.temperature, 0.2);
+  assert.equal(cold.model, base.model);
+  assert.equal(cold.variants, undefined);
+  assert.equal(getConfigByTemplateName('character_description_generation@retired').model, 'retired-model');
+  assert.throws(() => getConfigByTemplateName('character_description_generation@missing'), /Variant "missing"/);
+});
+
+test('a max_tokens override is resolved for its variant only', () => {
+  assert.equal(getMaxTokensForTemplate('character_description_generation@cold'), 300);
+  const base = getConfigByTemplateName('character_description_generation');
+  assert.equal(getMaxTokensForTemplate('character_description_generation@control'), base.max_tokens ?? null);
+});